@@ -7,12 +7,32 @@ const express = require('express');
 const config = require('./config');
 const logger = require('./utils/logger');
 const webhookRoutes = require('./routes/webhook');
+const webChatServer = require('./channels/webChatServer');
+const whatsappChannel = require('./channels/whatsapp');
+const orchestrator = require('./logic/orchestrator');
 const myraClient = require('./myra/wsClient');
+const createStore = require('./session/createStore');
 
 const app = express();
 
+// The WhatsApp client checks the 24-hour window and records every accepted message
+whatsappChannel.attachTrackers({
+  serviceWindow: orchestrator.serviceWindow,
+  messageStatus: orchestrator.messageStatus
+});
+
+// Web chat first - it parses its own (size-limited) bodies
+if (config.webChat.enabled) {
+  app.use(config.webChat.path, webChatServer.router);
+}
+
 // Middleware
-app.use(express.json());
+// Keep the raw body - webhook signatures are computed over the exact bytes Meta sent
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Request logging middleware
@@ -58,20 +78,34 @@ app.use((err, req, res, next) => {
 // Start server
 async function start() {
   try {
-    // Check WhatsApp configuration
-    if (!config.whatsapp.accessToken) {
-      logger.warn('⚠️ WA_ACCESS_TOKEN not set - WhatsApp messages will not work');
-      logger.warn('   Set WA_ACCESS_TOKEN in your .env file to enable WhatsApp messaging');
-    } else if (config.whatsapp.accessToken.length < 50) {
-      logger.warn('⚠️ WA_ACCESS_TOKEN appears to be invalid (too short)');
-    } else {
-      logger.info('✅ WhatsApp access token configured');
+    // Check WhatsApp configuration of every business number
+    for (const tenant of config.whatsapp.tenants) {
+      if (!tenant.accessToken) {
+        logger.warn('⚠️ WA_ACCESS_TOKEN not set - WhatsApp messages will not work', { tenant: tenant.id });
+        logger.warn('   Set WA_ACCESS_TOKEN in your .env file to enable WhatsApp messaging');
+      } else if (tenant.accessToken.length < 50) {
+        logger.warn('⚠️ WA_ACCESS_TOKEN appears to be invalid (too short)', { tenant: tenant.id });
+      } else {
+        logger.info('✅ WhatsApp access token configured', { tenant: tenant.id });
+      }
+
+      if (!tenant.phoneNumberId) {
+        logger.warn('⚠️ WA_PHONE_NUMBER_ID not set - WhatsApp messages will not work', { tenant: tenant.id });
+      } else {
+        logger.info('✅ WhatsApp phone number ID configured', { tenant: tenant.id });
+      }
     }
 
-    if (!config.whatsapp.phoneNumberId) {
-      logger.warn('⚠️ WA_PHONE_NUMBER_ID not set - WhatsApp messages will not work');
+    if (!config.whatsapp.appSecret) {
+      if (config.whatsapp.skipSignature) {
+        logger.error('🚨 WA_SKIP_SIGNATURE=true and no WA_APP_SECRET - webhook signatures are NOT verified');
+        logger.error('   Anyone who can reach /webhook can inject messages. Use this for local testing only.');
+      } else {
+        logger.warn('⚠️ WA_APP_SECRET not set - webhook signatures cannot be verified');
+        logger.warn('   All incoming webhooks will be rejected until WA_APP_SECRET is configured (or WA_SKIP_SIGNATURE=true for local testing)');
+      }
     } else {
-      logger.info('✅ WhatsApp phone number ID configured');
+      logger.info('✅ WhatsApp app secret configured (webhook signatures verified)');
     }
 
     // Connect to Myra WebSocket
@@ -79,40 +113,57 @@ async function start() {
     await myraClient.connect();
     
     // Start Express server
-    app.listen(config.port, () => {
+    const server = app.listen(config.port, () => {
       logger.info(`🚀 Server running on port ${config.port}`);
       logger.info(`📱 Webhook URL: http://localhost:${config.port}/webhook`);
-      logger.info(`🧪 Test URL: http://localhost:${config.port}/test/message`);
+      if (config.enableTestRoutes) {
+        logger.info(`🧪 Test URL: http://localhost:${config.port}/test/message`);
+        if (!config.isDev) {
+          logger.warn('⚠️ ENABLE_TEST_ROUTES=true in production - /test/* accepts unauthenticated requests');
+        }
+      }
       logger.info(`💚 Health: http://localhost:${config.port}/health`);
       
-      if (!config.whatsapp.accessToken || !config.whatsapp.phoneNumberId) {
+      if (config.whatsapp.tenants.some(tenant => !tenant.accessToken || !tenant.phoneNumberId)) {
         logger.warn('⚠️ WhatsApp not fully configured - messages will fail');
         logger.warn('   Configure WA_ACCESS_TOKEN and WA_PHONE_NUMBER_ID in .env');
       }
     });
+    if (config.webChat.enabled) {
+      webChatServer.attach(server);
+    }
     
   } catch (error) {
     logger.error('Failed to start server', { error: error.message });
     
     // Start server anyway (can work without Myra in test mode)
-    app.listen(config.port, () => {
+    const server = app.listen(config.port, () => {
       logger.warn(`⚠️ Server running on port ${config.port} (Myra not connected)`);
     });
+    if (config.webChat.enabled) {
+      webChatServer.attach(server);
+    }
   }
 }
 
 // Handle graceful shutdown
-process.on('SIGTERM', () => {
-  logger.info('SIGTERM received, shutting down...');
+/**
+ * Disconnect from Myra and flush the stores (file journals are written asynchronously)
+ * @param {string} signal
+ */
+async function shutdown(signal) {
+  logger.info(`${signal} received, shutting down...`);
   myraClient.disconnect();
+  try {
+    await createStore.closeAll();
+  } catch (error) {
+    logger.error('Error closing stores', { error: error.message });
+  }
   process.exit(0);
-});
+}
 
-process.on('SIGINT', () => {
-  logger.info('SIGINT received, shutting down...');
-  myraClient.disconnect();
-  process.exit(0);
-});
+process.on('SIGTERM', () => shutdown('SIGTERM'));
+process.on('SIGINT', () => shutdown('SIGINT'));
 
 // Start the application
 start();
@@ -0,0 +1,200 @@
+/**
+ * Channel
+ * Base class for the messaging channels the bot talks through (WhatsApp, web chat)
+ *
+ * Every channel implements the core messages: text, buttons, list, image and document.
+ * The richer messages WhatsApp has (call-to-action buttons, location pins, typing indicator,
+ * reactions) fall back to the core ones, so business logic can use them on any channel.
+ * Each send resolves with { messages: [{ id }] } - the Graph API shape - so callers can
+ * track sent message IDs the same way everywhere.
+ */
+
+class Channel {
+  /**
+   * @param {string} name - Channel name, also used to namespace stored keys
+   */
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Error for a core message the channel forgot to implement
+   * @param {string} method
+   * @returns {Error}
+   */
+  _notImplemented(method) {
+    return new Error(`${this.name} channel does not implement ${method}()`);
+  }
+
+  /**
+   * Send text message
+   * @param {string} to - Recipient (phone number, web chat user ID)
+   * @param {string} text - Message text
+   * @returns {Promise<Object>}
+   */
+  async sendText(to, text) {
+    throw this._notImplemented('sendText');
+  }
+
+  /**
+   * Send reply buttons
+   * @param {string} to - Recipient
+   * @param {string} bodyText - Message body
+   * @param {Array<{id: string, title: string}>} buttons - Up to 3 buttons
+   * @param {string} [header] - Header text
+   * @param {string} [footer] - Footer text
+   * @returns {Promise<Object>}
+   */
+  async sendButtons(to, bodyText, buttons, header = null, footer = null) {
+    throw this._notImplemented('sendButtons');
+  }
+
+  /**
+   * Send list of options
+   * @param {string} to - Recipient
+   * @param {string} bodyText - Message body
+   * @param {string} buttonText - Button text to open list
+   * @param {Array<{title: string, rows: Array<{id: string, title: string, description?: string}>}>} sections
+   * @returns {Promise<Object>}
+   */
+  async sendList(to, bodyText, buttonText, sections) {
+    throw this._notImplemented('sendList');
+  }
+
+  /**
+   * Send image
+   * @param {string} to - Recipient
+   * @param {string|{id: string}} image - Image URL, or media resolved by resolveImage()
+   * @param {string} [caption] - Image caption
+   * @returns {Promise<Object>}
+   */
+  async sendImage(to, image, caption = '') {
+    throw this._notImplemented('sendImage');
+  }
+
+  /**
+   * Send document
+   * @param {string} to - Recipient
+   * @param {string|{id: string}|{buffer: Buffer, mimeType: string}} document - URL, uploaded media or file contents
+   * @param {string} filename - File name shown to the user
+   * @param {string} [caption] - Document caption
+   * @returns {Promise<Object>}
+   */
+  async sendDocument(to, document, filename, caption = '') {
+    throw this._notImplemented('sendDocument');
+  }
+
+  /**
+   * Send an image with reply buttons - image first, then the buttons
+   * @param {string} to - Recipient
+   * @param {string|{id: string}} image - Image URL or resolved media
+   * @param {string} caption - Text shown with the buttons
+   * @param {Array<{id: string, title: string}>} buttons - Up to 3 buttons
+   * @returns {Promise<Object>}
+   */
+  async sendImageWithButtons(to, image, caption, buttons) {
+    await this.sendImage(to, image);
+    return this.sendButtons(to, caption, buttons);
+  }
+
+  /**
+   * Send a call-to-action link - the link goes into the text
+   * @param {string} to - Recipient
+   * @param {string} bodyText - Message body
+   * @param {string} displayText - Link label
+   * @param {string} url - Link
+   * @param {Object} [options]
+   * @param {string|{id: string}} [options.image] - Image shown with the message
+   * @param {string} [options.header] - Header text
+   * @param {string} [options.footer] - Footer text
+   * @returns {Promise<Object>}
+   */
+  async sendCtaUrl(to, bodyText, displayText, url, options = {}) {
+    const text = [
+      options.header && !options.image ? `*${options.header}*` : null,
+      bodyText,
+      `🔗 ${displayText}: ${url}`,
+      options.footer ? `_${options.footer}_` : null
+    ].filter(Boolean).join('\n\n');
+
+    return options.image ? this.sendImage(to, options.image, text) : this.sendText(to, text);
+  }
+
+  /**
+   * Send a location pin - as a map link
+   * @param {string} to - Recipient
+   * @param {{latitude: number, longitude: number, name?: string, address?: string}} location
+   * @returns {Promise<Object>}
+   */
+  async sendLocation(to, location) {
+    const { latitude, longitude, name, address } = location;
+    const lines = [
+      name ? `📍 *${name}*` : '📍 Location',
+      address,
+      `https://maps.google.com/?q=${latitude},${longitude}`
+    ].filter(Boolean);
+
+    return this.sendText(to, lines.join('\n'));
+  }
+
+  /**
+   * Ask the user to share their location - as plain text
+   * @param {string} to - Recipient
+   * @param {string} bodyText - Message body
+   * @returns {Promise<Object>}
+   */
+  async sendLocationRequest(to, bodyText) {
+    return this.sendText(to, bodyText);
+  }
+
+  /**
+   * React to a message with an emoji - skipped where reactions don't exist
+   * @param {string} to - Recipient
+   * @param {string} messageId - Message to react to
+   * @param {string} emoji
+   * @returns {Promise<Object>}
+   */
+  async sendReaction(to, messageId, emoji) {
+    return { messages: [] };
+  }
+
+  /**
+   * Show that a reply is being prepared
+   * Never throws - callers fall back to a text placeholder when success is false
+   * @param {string} to - Recipient
+   * @param {string} messageId - Inbound message being answered
+   * @returns {Promise<{success: boolean, error?: string}>}
+   */
+  async sendTypingIndicator(to, messageId) {
+    return { success: false, error: `Typing indicator not supported on ${this.name}` };
+  }
+
+  /**
+   * Resolve an image URL to what sendImage() should get - the URL itself by default
+   * @param {string} url
+   * @returns {Promise<string|{id: string}>}
+   */
+  async resolveImage(url) {
+    return url;
+  }
+
+  /**
+   * Download media the user sent
+   * @param {string} mediaId
+   * @returns {Promise<{buffer: Buffer, mimeType: string, fileSize: number}>}
+   */
+  async downloadMedia(mediaId) {
+    throw new Error(`Media download is not supported on ${this.name}`);
+  }
+
+  /**
+   * Send a payload already in the channel's own format (e.g. a stored Graph API payload)
+   * @param {Object} payload
+   * @returns {Promise<Object>}
+   */
+  async sendRaw(payload) {
+    throw this._notImplemented('sendRaw');
+  }
+}
+
+module.exports = Channel;
@@ -0,0 +1,48 @@
+/**
+ * Channels
+ * Which channel the message being processed came in on - replies go out the same way
+ *
+ * Entry points (WhatsApp webhook, web chat) run the orchestrator inside runWithChannel();
+ * business logic sends through current() and never talks to a channel client directly.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const whatsappChannel = require('./whatsapp');
+const tenants = require('../whatsapp/tenants');
+
+const context = new AsyncLocalStorage();
+
+/**
+ * Run a function with a channel as the current one
+ * @param {Object} channel - Channel adapter
+ * @param {Function} fn
+ * @returns {*} Return value of fn
+ */
+function runWithChannel(channel, fn) {
+  return context.run(channel, fn);
+}
+
+/**
+ * Channel of the message being processed (WhatsApp outside any channel context)
+ * @returns {Object} Channel adapter
+ */
+function current() {
+  return context.getStore() || whatsappChannel;
+}
+
+/**
+ * Namespace a store key (user ID) by channel - and by tenant on WhatsApp
+ * A web chat user ID must never pick up a WhatsApp user's session
+ * @param {string} key
+ * @returns {string}
+ */
+function scopeKey(key) {
+  const channel = current();
+  return channel === whatsappChannel ? tenants.scopeKey(key) : `${channel.name}:${key}`;
+}
+
+module.exports = {
+  runWithChannel,
+  current,
+  scopeKey
+};
@@ -0,0 +1,147 @@
+/**
+ * Web Chat Channel
+ * Channel adapter for the website widget - replies are JSON events pushed to the user's
+ * open WebSocket connections and to any HTTP request waiting for them
+ *
+ * Events: { id, type, timestamp, ... } where type is text, buttons, list, image,
+ * document or typing. Everything else uses the Channel fallbacks.
+ */
+
+const Channel = require('./Channel');
+const logger = require('../utils/logger');
+
+class WebChatChannel extends Channel {
+  constructor() {
+    super('webchat');
+    // Open WebSocket connections per user (one per browser tab)
+    this.sockets = new Map();
+    // Event lists of HTTP requests waiting for replies, per user
+    this.collectors = new Map();
+    // Keeps event IDs unique within the same millisecond
+    this._eventSeq = 0;
+  }
+
+  /**
+   * Register a WebSocket connection for a user
+   * @param {string} userId
+   * @param {Object} socket - ws WebSocket
+   */
+  addSocket(userId, socket) {
+    if (!this.sockets.has(userId)) {
+      this.sockets.set(userId, new Set());
+    }
+    this.sockets.get(userId).add(socket);
+
+    socket.on('close', () => {
+      const sockets = this.sockets.get(userId);
+      sockets?.delete(socket);
+      if (sockets?.size === 0) {
+        this.sockets.delete(userId);
+      }
+    });
+  }
+
+  /**
+   * Collect every event sent to a user while a function runs (HTTP request/response)
+   * @param {string} userId
+   * @param {Function} fn - Async function that processes the user's message
+   * @returns {Promise<Array<Object>>} Events sent to the user meanwhile
+   */
+  async collect(userId, fn) {
+    const events = [];
+    if (!this.collectors.has(userId)) {
+      this.collectors.set(userId, new Set());
+    }
+    this.collectors.get(userId).add(events);
+
+    try {
+      await fn();
+      return events;
+    } finally {
+      const collectors = this.collectors.get(userId);
+      collectors.delete(events);
+      if (collectors.size === 0) {
+        this.collectors.delete(userId);
+      }
+    }
+  }
+
+  /**
+   * Deliver an event to the user's sockets and waiting requests
+   * @param {string} userId
+   * @param {Object} event - Event without id/timestamp
+   * @returns {Object} Send result in the Graph API shape
+   */
+  _emit(userId, event) {
+    const id = `web_${Date.now()}_${++this._eventSeq}`;
+    const message = { id, ...event, timestamp: Date.now() };
+    const data = JSON.stringify(message);
+
+    for (const socket of this.sockets.get(userId) || []) {
+      // 1 = OPEN
+      if (socket.readyState === 1) {
+        socket.send(data);
+      }
+    }
+    for (const events of this.collectors.get(userId) || []) {
+      events.push(message);
+    }
+
+    logger.debug('💬 [WEBCHAT] Event sent', {
+      userId,
+      id,
+      type: event.type,
+      sockets: this.sockets.get(userId)?.size || 0
+    });
+
+    return { messages: [{ id }] };
+  }
+
+  /**
+   * Media reference as a URL the browser can open
+   * @param {string|{id: string}|{buffer: Buffer, mimeType: string}} media
+   * @returns {string|null}
+   */
+  _mediaUrl(media) {
+    if (typeof media === 'string') {
+      return media;
+    }
+    if (media?.buffer) {
+      return `data:${media.mimeType};base64,${media.buffer.toString('base64')}`;
+    }
+    return null;
+  }
+
+  async sendText(to, text) {
+    return this._emit(to, { type: 'text', text });
+  }
+
+  async sendButtons(to, bodyText, buttons, header = null, footer = null) {
+    return this._emit(to, {
+      type: 'buttons',
+      body: bodyText,
+      buttons: buttons.map(btn => ({ id: btn.id, title: btn.title })),
+      header,
+      footer
+    });
+  }
+
+  async sendList(to, bodyText, buttonText, sections) {
+    return this._emit(to, { type: 'list', body: bodyText, button: buttonText, sections });
+  }
+
+  async sendImage(to, image, caption = '') {
+    return this._emit(to, { type: 'image', url: this._mediaUrl(image), caption });
+  }
+
+  async sendDocument(to, document, filename, caption = '') {
+    return this._emit(to, { type: 'document', url: this._mediaUrl(document), filename, caption });
+  }
+
+  async sendTypingIndicator(to, messageId) {
+    this._emit(to, { type: 'typing', messageId });
+    return { success: true };
+  }
+}
+
+module.exports = new WebChatChannel();
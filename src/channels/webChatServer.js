@@ -0,0 +1,292 @@
+/**
+ * Web Chat Server
+ * Endpoints for the website widget - same orchestrator, web chat channel
+ *
+ * User IDs are issued by the server and bound to a signed token; the client never picks
+ * its own ID, so it can't join another user's session.
+ *
+ * Everything lives under WEBCHAT_PATH (default /webchat):
+ * HTTP: POST /webchat/session answers with { userId, token }. POST /webchat/messages with
+ *   Authorization: Bearer <token> and { text } / { buttonId } / { listId } /
+ *   { location: { latitude, longitude } } answers with every reply event for that message.
+ * WebSocket: connect to /webchat?token=<token> (without a token a new user is issued and
+ *   sent in the "session" event), send the same JSON and receive reply events as they are sent.
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const { WebSocketServer } = require('ws');
+const { v4: uuidv4 } = require('uuid');
+const config = require('../config');
+const logger = require('../utils/logger');
+const orchestrator = require('../logic/orchestrator');
+const channels = require('./index');
+const webChat = require('./webChat');
+
+const router = express.Router();
+
+// Keeps inbound message IDs unique within the same millisecond
+let inboundSeq = 0;
+
+// Without a configured secret, tokens only stay valid until the process restarts
+const tokenSecret = config.webChat.tokenSecret || crypto.randomBytes(32).toString('hex');
+
+const RATE_WINDOW_MS = 60000;
+// Requests in the current rate window, per user ID (messages) or IP (new users): key → { windowStart, count }
+const rateWindows = new Map();
+
+/**
+ * Sign a user ID
+ * @param {string} userId
+ * @returns {string}
+ */
+function sign(userId) {
+  return crypto.createHmac('sha256', tokenSecret).update(userId).digest('base64url');
+}
+
+/**
+ * Issue a token for a new web chat user
+ * @returns {{userId: string, token: string}}
+ */
+function issueToken() {
+  const userId = uuidv4();
+  return { userId, token: `${userId}.${sign(userId)}` };
+}
+
+/**
+ * User ID of a token, if its signature is valid
+ * @param {string} token
+ * @returns {string|null}
+ */
+function verifyToken(token) {
+  const [userId, signature] = typeof token === 'string' ? token.split('.') : [];
+  if (!userId || !signature) {
+    return null;
+  }
+
+  const expected = Buffer.from(sign(userId));
+  const actual = Buffer.from(signature);
+  // timingSafeEqual throws on length mismatch
+  return actual.length === expected.length && crypto.timingSafeEqual(actual, expected) ? userId : null;
+}
+
+/**
+ * Count a request against the per-minute limit
+ * @param {string} key - `user:<userId>` for messages, `ip:<address>` for new users
+ * @returns {boolean} false if the key is over the limit
+ */
+function allowRequest(key) {
+  const now = Date.now();
+  const entry = rateWindows.get(key);
+
+  if (!entry || now - entry.windowStart >= RATE_WINDOW_MS) {
+    rateWindows.set(key, { windowStart: now, count: 1 });
+    return true;
+  }
+
+  entry.count++;
+  return entry.count <= config.webChat.rateLimitPerMinute;
+}
+
+// Forget finished rate windows
+setInterval(() => {
+  const now = Date.now();
+  for (const [key, entry] of rateWindows) {
+    if (now - entry.windowStart >= RATE_WINDOW_MS) {
+      rateWindows.delete(key);
+    }
+  }
+}, RATE_WINDOW_MS).unref();
+
+/**
+ * Read a widget location - coordinates must be finite numbers (or numeric strings) in range
+ * @param {Object} location - { latitude, longitude, name, address }
+ * @returns {Object} Normalized location
+ * @throws {Error} isInvalidMessage when the coordinates are missing or out of range
+ */
+function parseLocation(location) {
+  const toNumber = value => (typeof value === 'string' && value.trim() ? Number(value) : value);
+  const latitude = toNumber(location.latitude);
+  const longitude = toNumber(location.longitude);
+
+  if (!Number.isFinite(latitude) || !Number.isFinite(longitude) ||
+      Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+    const error = new Error('location needs numeric latitude (-90 to 90) and longitude (-180 to 180)');
+    error.isInvalidMessage = true;
+    throw error;
+  }
+
+  return {
+    latitude,
+    longitude,
+    name: location.name || null,
+    address: location.address || null
+  };
+}
+
+/**
+ * Convert a widget message to the normalized message format
+ * @param {string} userId - Web chat user ID
+ * @param {Object} body - { text, buttonId, buttonTitle, listId, listTitle, location, replyTo, messageId }
+ *   (messageId is the client's retry key - scoped to the user before deduplication)
+ * @returns {Object} NormalizedMessage
+ * @throws {Error} isInvalidMessage for a malformed location
+ */
+function normalizeWebChatMessage(userId, body) {
+  const { text, buttonId, buttonTitle, listId, listTitle, location, replyTo, messageId } = body;
+
+  return {
+    userId,
+    // Dedup IDs are shared with WhatsApp - a client ID is only unique within its own user
+    messageId: messageId ? `web:${userId}:${messageId}` : `web_in_${Date.now()}_${++inboundSeq}`,
+    timestamp: Date.now(),
+    userName: null,
+    replyTo: replyTo || null,
+    phoneNumberId: null,
+    type: buttonId ? 'button' : (listId ? 'list' : (location ? 'location' : (text ? 'text' : 'unknown'))),
+    text,
+    buttonId,
+    buttonText: buttonTitle || buttonId,
+    listId,
+    listTitle: listTitle || listId,
+    location: location ? parseLocation(location) : undefined
+  };
+}
+
+/**
+ * Process a widget message on the web chat channel
+ * @param {string} userId
+ * @param {Object} body - Widget message
+ * @returns {Promise<Object>} Orchestrator result
+ */
+function handleWebChatMessage(userId, body) {
+  const message = normalizeWebChatMessage(userId, body);
+
+  logger.info('💬 [WEBCHAT] Message received', {
+    userId,
+    messageId: message.messageId,
+    type: message.type,
+    text: message.text?.slice(0, 50)
+  });
+
+  return channels.runWithChannel(webChat, () => orchestrator.processMessage(message));
+}
+
+// Small bodies only - mounted before the app-wide JSON parser
+router.use(express.json({ limit: config.webChat.maxBodyBytes }));
+
+/**
+ * HTTP - issue a new web chat user
+ */
+router.post('/session', (req, res) => {
+  if (!allowRequest(`ip:${req.ip}`)) {
+    return res.status(429).json({ error: 'Too many new sessions - try again in a minute' });
+  }
+  res.json(issueToken());
+});
+
+/**
+ * HTTP - process one message and answer with the replies
+ */
+router.post('/messages', async (req, res) => {
+  const bearer = req.get('authorization')?.replace(/^Bearer\s+/i, '');
+  const userId = verifyToken(bearer);
+
+  if (!userId) {
+    return res.status(401).json({ error: `Missing or invalid token - get one from POST ${config.webChat.path}/session` });
+  }
+  if (!allowRequest(`user:${userId}`)) {
+    return res.status(429).json({ error: 'Too many messages - try again in a minute' });
+  }
+
+  try {
+    const events = await webChat.collect(userId, () => handleWebChatMessage(userId, req.body));
+    res.json({ userId, events });
+  } catch (error) {
+    if (error.isInvalidMessage) {
+      return res.status(400).json({ error: error.message });
+    }
+    logger.error('❌ [WEBCHAT] HTTP message failed', { userId, error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Oversized or malformed bodies
+router.use((err, req, res, next) => {
+  if (err.type === 'entity.too.large') {
+    return res.status(413).json({ error: 'Message too large' });
+  }
+  if (err.type === 'entity.parse.failed') {
+    return res.status(400).json({ error: 'Body must be JSON' });
+  }
+  next(err);
+});
+
+/**
+ * Accept widget WebSocket connections on the HTTP server
+ * @param {Object} server - http.Server returned by app.listen()
+ * @returns {WebSocketServer}
+ */
+function attach(server) {
+  const wss = new WebSocketServer({ server, path: config.webChat.path, maxPayload: config.webChat.maxBodyBytes });
+
+  if (!config.webChat.tokenSecret) {
+    logger.warn('⚠️ WEBCHAT_TOKEN_SECRET not set - web chat tokens are lost on restart');
+  }
+
+  wss.on('connection', (socket, req) => {
+    const url = new URL(req.url, 'http://localhost');
+    const token = url.searchParams.get('token');
+    // No token: new user. A token that doesn't verify is refused rather than replaced.
+    const session = token ? { userId: verifyToken(token), token } : issueToken();
+
+    if (!session.userId) {
+      socket.close(4401, 'Invalid token');
+      return;
+    }
+    if (!token && !allowRequest(`ip:${req.socket.remoteAddress}`)) {
+      socket.close(4429, 'Too many new sessions');
+      return;
+    }
+
+    const { userId } = session;
+    webChat.addSocket(userId, socket);
+    socket.send(JSON.stringify({ type: 'session', ...session }));
+    logger.info('💬 [WEBCHAT] Widget connected', { userId });
+
+    socket.on('message', async (data) => {
+      if (!allowRequest(`user:${userId}`)) {
+        socket.send(JSON.stringify({ type: 'error', error: 'Too many messages - try again in a minute' }));
+        return;
+      }
+
+      let body;
+      try {
+        body = JSON.parse(data.toString());
+      } catch (error) {
+        socket.send(JSON.stringify({ type: 'error', error: 'Messages must be JSON' }));
+        return;
+      }
+
+      try {
+        await handleWebChatMessage(userId, body);
+      } catch (error) {
+        if (error.isInvalidMessage) {
+          socket.send(JSON.stringify({ type: 'error', error: error.message }));
+          return;
+        }
+        logger.error('❌ [WEBCHAT] WebSocket message failed', { userId, error: error.message });
+        socket.send(JSON.stringify({ type: 'error', error: 'Message could not be processed' }));
+      }
+    });
+  });
+
+  logger.info(`💬 Web chat: ws://localhost:${config.port}${config.webChat.path}`);
+  return wss;
+}
+
+module.exports = {
+  router,
+  attach,
+  normalizeWebChatMessage
+};
@@ -0,0 +1,105 @@
+/**
+ * WhatsApp Channel
+ * Channel adapter over the WhatsApp Cloud API client
+ */
+
+const Channel = require('./Channel');
+const whatsappClient = require('../whatsapp/client');
+const { resolveImage } = require('../whatsapp/mediaService');
+
+class WhatsAppChannel extends Channel {
+  constructor() {
+    super('whatsapp');
+  }
+
+  async sendText(to, text) {
+    return whatsappClient.sendText(to, text);
+  }
+
+  async sendButtons(to, bodyText, buttons, header = null, footer = null) {
+    return whatsappClient.sendButtons(to, bodyText, buttons, header, footer);
+  }
+
+  async sendList(to, bodyText, buttonText, sections) {
+    return whatsappClient.sendList(to, bodyText, buttonText, sections);
+  }
+
+  async sendImage(to, image, caption = '') {
+    return whatsappClient.sendImage(to, image, caption);
+  }
+
+  /**
+   * Send document - file contents are uploaded to WhatsApp media first
+   * @param {string} to - Recipient phone number
+   * @param {string|{id: string}|{buffer: Buffer, mimeType: string}} document
+   * @param {string} filename
+   * @param {string} [caption]
+   * @returns {Promise<Object>}
+   */
+  async sendDocument(to, document, filename, caption = '') {
+    if (document?.buffer) {
+      const mediaId = await whatsappClient.uploadMedia(document.buffer, document.mimeType, filename);
+      return whatsappClient.sendDocument(to, { id: mediaId }, filename, caption);
+    }
+    return whatsappClient.sendDocument(to, document, filename, caption);
+  }
+
+  async sendImageWithButtons(to, image, caption, buttons) {
+    return whatsappClient.sendImageWithButtons(to, image, caption, buttons);
+  }
+
+  async sendCtaUrl(to, bodyText, displayText, url, options = {}) {
+    return whatsappClient.sendCtaUrl(to, bodyText, displayText, url, options);
+  }
+
+  async sendLocation(to, location) {
+    return whatsappClient.sendLocation(to, location);
+  }
+
+  async sendLocationRequest(to, bodyText) {
+    return whatsappClient.sendLocationRequest(to, bodyText);
+  }
+
+  async sendReaction(to, messageId, emoji) {
+    return whatsappClient.sendReaction(to, messageId, emoji);
+  }
+
+  async sendTypingIndicator(to, messageId) {
+    return whatsappClient.sendTypingIndicator(to, messageId);
+  }
+
+  /**
+   * Upload the image to WhatsApp media (cached per URL), or keep the link on failure
+   * @param {string} url
+   * @returns {Promise<string|{id: string}>}
+   */
+  async resolveImage(url) {
+    return resolveImage(url);
+  }
+
+  async downloadMedia(mediaId) {
+    return whatsappClient.downloadMedia(mediaId);
+  }
+
+  /**
+   * Send a Graph API message payload as is
+   * @param {Object} payload - { messaging_product, to, type, ... }
+   * @returns {Promise<Object>}
+   */
+  async sendRaw(payload) {
+    return whatsappClient.send(payload);
+  }
+
+  /**
+   * Give the client the trackers it checks and feeds on every send (called once at startup)
+   * @param {Object} trackers
+   * @param {Object} trackers.serviceWindow - ServiceWindowTracker (24-hour window checks)
+   * @param {Object} trackers.messageStatus - MessageStatusTracker (records accepted messages)
+   */
+  attachTrackers({ serviceWindow, messageStatus }) {
+    whatsappClient.setServiceWindowTracker(serviceWindow);
+    whatsappClient.setStatusTracker(messageStatus);
+  }
+}
+
+module.exports = new WhatsAppChannel();
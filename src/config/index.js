@@ -5,17 +5,87 @@
 
 require('dotenv').config();
 
+const path = require('path');
+
+/**
+ * WhatsApp numbers served by this bot
+ * WA_TENANTS is a JSON array of { id, phoneNumberId, accessToken, name }; without it the
+ * WA_PHONE_NUMBER_ID / WA_ACCESS_TOKEN pair is the single "default" tenant
+ * @returns {Array<Object>}
+ */
+function loadTenants() {
+  if (!process.env.WA_TENANTS) {
+    return [{
+      id: 'default',
+      name: 'default',
+      phoneNumberId: process.env.WA_PHONE_NUMBER_ID,
+      accessToken: process.env.WA_ACCESS_TOKEN
+    }];
+  }
+
+  let tenants;
+  try {
+    tenants = JSON.parse(process.env.WA_TENANTS);
+  } catch (error) {
+    throw new Error(`WA_TENANTS is not valid JSON: ${error.message}`);
+  }
+
+  if (!Array.isArray(tenants) || tenants.length === 0) {
+    throw new Error('WA_TENANTS must be a non-empty JSON array');
+  }
+
+  return tenants.map((tenant, index) => {
+    if (!tenant.id || !tenant.phoneNumberId) {
+      throw new Error(`WA_TENANTS[${index}] needs an "id" and a "phoneNumberId"`);
+    }
+    return {
+      name: tenant.id,
+      ...tenant,
+      // Numbers in the same business account can share one system user token
+      accessToken: tenant.accessToken || process.env.WA_ACCESS_TOKEN
+    };
+  });
+}
+
 const config = {
   // Server
   port: parseInt(process.env.PORT, 10) || 3000,
   nodeEnv: process.env.NODE_ENV || 'development',
   isDev: process.env.NODE_ENV !== 'production',
+  // /test/* endpoints inject messages and read sessions without auth - dev only unless forced
+  enableTestRoutes: process.env.ENABLE_TEST_ROUTES
+    ? process.env.ENABLE_TEST_ROUTES === 'true'
+    : process.env.NODE_ENV !== 'production',
 
   // WhatsApp Business API
   whatsapp: {
-    phoneNumberId: process.env.WA_PHONE_NUMBER_ID,
-    accessToken: process.env.WA_ACCESS_TOKEN,
+    // Business numbers and their credentials - the first one is the default. The only source of
+    // phone number IDs and access tokens: use tenants.currentTenant(), not the env vars
+    tenants: loadTenants(),
     verifyToken: process.env.WA_VERIFY_TOKEN,
+    appSecret: process.env.WA_APP_SECRET, // Used to verify X-Hub-Signature-256 on webhooks
+    // Explicit opt-out for local testing without an app secret - never set this in a deployment
+    skipSignature: process.env.WA_SKIP_SIGNATURE === 'true',
+    // What to do with a free-form message after the 24-hour customer service window closed
+    windowClosedPolicy: process.env.WA_WINDOW_CLOSED_POLICY || 'refuse', // 'refuse' | 'template'
+    reopenTemplate: process.env.WA_REOPEN_TEMPLATE || 'conversation_reopen',
+    // Retries for throttling (130429/131056), 5xx and network errors
+    retry: {
+      maxAttempts: parseInt(process.env.WA_RETRY_MAX_ATTEMPTS, 10) || 4,
+      baseDelayMs: parseInt(process.env.WA_RETRY_BASE_DELAY_MS, 10) || 500,
+      maxDelayMs: parseInt(process.env.WA_RETRY_MAX_DELAY_MS, 10) || 10000
+    },
+    // Minimum spacing between messages to the same recipient (pair rate limit)
+    pairMinIntervalMs: parseInt(process.env.WA_PAIR_MIN_INTERVAL_MS, 10) || 250,
+    // WhatsApp hides the typing indicator after 25 seconds - re-send it before then
+    typingRefreshMs: parseInt(process.env.WA_TYPING_REFRESH_MS, 10) || 20000,
+    // Emoji reaction on each handled user message, e.g. ✅ (empty = off)
+    processedReaction: process.env.WA_PROCESSED_REACTION || '',
+    // Per-recipient ordering: wait for each message's "sent" status webhook before the next
+    outbound: {
+      waitForSentStatus: process.env.WA_WAIT_FOR_SENT_STATUS !== 'false',
+      ackTimeoutMs: parseInt(process.env.WA_ACK_TIMEOUT_MS, 10) || 3000
+    },
     apiUrl: 'https://graph.facebook.com/v18.0'
   },
 
@@ -25,18 +95,87 @@ const config = {
     deviceId: process.env.MYRA_DEVICE_ID,
     sessionId: process.env.MYRA_SESSION_ID,
     org: process.env.MYRA_ORG || 'MMT',
-    requestTimeoutMs: parseInt(process.env.MYRA_REQUEST_TIMEOUT_MS, 10) || 60000 // 60 seconds default
+    requestTimeoutMs: parseInt(process.env.MYRA_REQUEST_TIMEOUT_MS, 10) || 60000, // 60 seconds default
+    // Once Myra has replied, how long to wait for the next update (follow-up question) before moving on
+    streamIdleTimeoutMs: parseInt(process.env.MYRA_STREAM_IDLE_TIMEOUT_MS, 10) || 15000,
+    // Hard cap on one turn - ends the stream even if Myra keeps sending updates
+    streamMaxDurationMs: parseInt(process.env.MYRA_STREAM_MAX_DURATION_MS, 10) || 120000
+  },
+
+  // Speech-to-text (voice notes)
+  stt: {
+    provider: process.env.STT_PROVIDER || 'gemini', // 'gemini' | 'stub'
+    defaultLanguage: process.env.STT_DEFAULT_LANGUAGE || 'en-IN',
+    stubTranscript: process.env.STT_STUB_TRANSCRIPT || 'Show me hotels in Goa'
   },
 
   // Session
   session: {
-    ttlMinutes: parseInt(process.env.SESSION_TTL_MINUTES, 10) || 30
+    ttlMinutes: parseInt(process.env.SESSION_TTL_MINUTES, 10) || 30,
+    store: process.env.SESSION_STORE || 'memory', // 'memory' | 'redis' | 'file'
+    // Journal directory when SESSION_STORE=file
+    fileDir: process.env.SESSION_FILE_DIR || path.join(__dirname, '../../data')
+  },
+
+  // Redis (when SESSION_STORE=redis)
+  redis: {
+    url: process.env.REDIS_URL || 'redis://localhost:6379',
+    keyPrefix: process.env.REDIS_KEY_PREFIX || 'myra:'
+  },
+
+  // Images are uploaded to WhatsApp and sent by media ID (cached per URL)
+  media: {
+    uploadImages: process.env.MEDIA_UPLOAD_IMAGES !== 'false',
+    // Uploaded media IDs expire on WhatsApp's side after 30 days
+    cacheTtlMinutes: parseInt(process.env.MEDIA_CACHE_TTL_MINUTES, 10) || 10080, // 7 days default
+    downloadTimeoutMs: parseInt(process.env.MEDIA_DOWNLOAD_TIMEOUT_MS, 10) || 10000
+  },
+
+  // Booking voucher PDF
+  voucher: {
+    // TTF/OTF font with the scripts your hotel and guest names use (e.g. Noto Sans Devanagari).
+    // Without it the built-in font only draws Latin text
+    fontPath: process.env.VOUCHER_FONT_PATH || null
+  },
+
+  // Webhook deduplication (Meta retries deliveries it thinks failed)
+  dedup: {
+    ttlMinutes: parseInt(process.env.DEDUP_TTL_MINUTES, 10) || 1440 // 24 hours default
+  },
+
+  // Outbound message lifecycle (sent/delivered/read/failed)
+  messageStatus: {
+    ttlMinutes: parseInt(process.env.MESSAGE_STATUS_TTL_MINUTES, 10) || 1440,
+    // Delivery log entries kept per user
+    deliveryLogSize: parseInt(process.env.MESSAGE_STATUS_LOG_SIZE, 10) || 50
+  },
+
+  // Reactions on our messages as feedback signals
+  feedback: {
+    positiveReactions: (process.env.FEEDBACK_POSITIVE_REACTIONS || '👍,❤️,😍,🔥,⭐,👏').split(',').map(e => e.trim()).filter(Boolean),
+    // Positive reaction on a product card adds the product to session.shortlist
+    shortlistOnReaction: process.env.FEEDBACK_SHORTLIST_ON_REACTION !== 'false',
+    // Feedback events kept on each user's session
+    maxEvents: parseInt(process.env.FEEDBACK_MAX_EVENTS, 10) || 50
+  },
+
+  // Website chat widget (WebSocket + HTTP) - opt-in
+  webChat: {
+    enabled: process.env.WEBCHAT_ENABLED === 'true',
+    path: process.env.WEBCHAT_PATH || '/webchat',
+    // Signs the user tokens the server issues (random per process if unset)
+    tokenSecret: process.env.WEBCHAT_TOKEN_SECRET,
+    maxBodyBytes: parseInt(process.env.WEBCHAT_MAX_BODY_BYTES, 10) || 4096,
+    rateLimitPerMinute: parseInt(process.env.WEBCHAT_RATE_LIMIT_PER_MINUTE, 10) || 20
   },
 
   // Message Processing
   processing: {
     // Timeout for message processing (should be longer than Myra request timeout)
-    timeoutMs: parseInt(process.env.PROCESSING_TIMEOUT_MS, 10) || 70000 // 70 seconds default (10s buffer over Myra timeout)
+    timeoutMs: parseInt(process.env.PROCESSING_TIMEOUT_MS, 10) || 70000, // 70 seconds default (10s buffer over Myra timeout)
+    // Per-user queue: messages from one user are processed strictly in order
+    userQueueMaxDepth: parseInt(process.env.USER_QUEUE_MAX_DEPTH, 10) || 5,
+    userQueueOverflowPolicy: process.env.USER_QUEUE_OVERFLOW_POLICY || 'drop_newest' // 'drop_newest' | 'drop_oldest'
   }
 };
 
@@ -0,0 +1,154 @@
+/**
+ * Booking Voucher Generator
+ * Renders a confirmed booking into a one-page PDF the user can show at check-in
+ */
+
+const PDFDocument = require('pdfkit');
+const config = require('../config');
+const logger = require('../utils/logger');
+const { formatPhoneNumber } = require('../utils/phoneNumber');
+
+const BRAND_COLOR = '#0a6ebd';
+const MUTED_COLOR = '#666666';
+
+// Printed instead of a field the built-in font can't draw - the confirmation message has it
+const UNPRINTABLE_PLACEHOLDER = 'See your WhatsApp booking confirmation';
+
+/**
+ * @typedef {Object} VoucherData
+ * @property {string} bookingId
+ * @property {Object} item - Booked item (title, subtitle, price, productType, location)
+ * @property {string} dates - Travel dates as entered by the user
+ * @property {string} guestPhone - WhatsApp phone number of the guest
+ * @property {number} [issuedAt] - Confirmation timestamp
+ */
+
+/**
+ * Make text safe for the built-in PDF fonts (WinAnsi only - no emoji, no ₹ glyph)
+ * @param {*} value
+ * @param {boolean} [unicode] - An embedded Unicode font is in use - keep every character
+ * @returns {string}
+ */
+function toPdfText(value, unicode = false) {
+  // Not every Unicode font has the ₹ glyph either
+  const text = String(value ?? '').replace(/₹\s*/g, 'Rs. ').replace(/\*/g, '').trim();
+  if (unicode) {
+    return text;
+  }
+  return text.replace(/[^\x20-\x7E\xA0-\xFF\n]/g, '').trim();
+}
+
+/**
+ * Text for a voucher field - letters the built-in font can't draw (Devanagari, Tamil, ...)
+ * turn the whole field into a placeholder rather than a blank or half a name
+ * @param {string} label - Field label, for the log
+ * @param {*} value
+ * @param {boolean} unicode - An embedded Unicode font is in use
+ * @returns {string}
+ */
+function fieldText(label, value, unicode) {
+  const lostLetters = !unicode &&
+    [...String(value ?? '')].some(char => char > '\xFF' && /[\p{L}\p{N}]/u.test(char));
+
+  if (lostLetters) {
+    logger.warn('Voucher field has non-Latin text the built-in PDF font cannot draw - set VOUCHER_FONT_PATH', {
+      field: label
+    });
+    return UNPRINTABLE_PLACEHOLDER;
+  }
+  return toPdfText(value, unicode);
+}
+
+/**
+ * Embed the configured Unicode font, if any
+ * @param {PDFDocument} doc
+ * @returns {boolean} true if field values can use it
+ */
+function registerVoucherFont(doc) {
+  if (!config.voucher.fontPath) {
+    return false;
+  }
+  try {
+    doc.registerFont('Voucher', config.voucher.fontPath);
+    // Loads the file now, so a bad path falls back instead of failing the voucher
+    doc.font('Voucher');
+    return true;
+  } catch (error) {
+    logger.error('Failed to load VOUCHER_FONT_PATH - using the built-in font', {
+      fontPath: config.voucher.fontPath,
+      error: error.message
+    });
+    return false;
+  }
+}
+
+/**
+ * Voucher file name for a booking
+ * @param {string} bookingId
+ * @returns {string}
+ */
+function voucherFilename(bookingId) {
+  return `voucher-${bookingId}.pdf`;
+}
+
+/**
+ * Render a booking voucher PDF
+ * @param {VoucherData} data
+ * @returns {Promise<Buffer>}
+ */
+function generateVoucher(data) {
+  const { bookingId, item, dates, guestPhone, issuedAt = Date.now() } = data;
+
+  return new Promise((resolve, reject) => {
+    const doc = new PDFDocument({
+      size: 'A4',
+      margin: 50,
+      info: { Title: `Booking voucher ${bookingId}`, Author: 'Myra by MakeMyTrip' }
+    });
+
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    const unicode = registerVoucherFont(doc);
+    const valueFont = unicode ? 'Voucher' : 'Helvetica';
+
+    // Header
+    doc.fillColor(BRAND_COLOR).fontSize(24).font('Helvetica-Bold').text('Booking Voucher');
+    doc.fillColor(MUTED_COLOR).fontSize(10).font('Helvetica').text('Myra by MakeMyTrip');
+    doc.moveDown(1.5);
+
+    doc.fillColor('#000000').fontSize(12).font('Helvetica-Bold').text('Booking ID');
+    doc.fontSize(18).text(toPdfText(bookingId));
+    doc.moveDown();
+
+    // Booking details
+    const rows = [
+      [item.productType ? toPdfText(item.productType).replace(/^\w/, c => c.toUpperCase()) || 'Item' : 'Item', item.title],
+      ['Details', item.subtitle || item.location],
+      ['Dates', dates],
+      ['Price', item.price || 'Price on request'],
+      ['Guest', formatPhoneNumber(guestPhone)],
+      ['Issued', new Date(issuedAt).toUTCString()]
+    ].filter(([, value]) => value);
+
+    for (const [label, value] of rows) {
+      doc.fontSize(10).font('Helvetica-Bold').fillColor(MUTED_COLOR).text(label.toUpperCase());
+      doc.fontSize(13).font(valueFont).fillColor('#000000').text(fieldText(label, value, unicode));
+      doc.moveDown(0.6);
+    }
+
+    // Footer
+    doc.moveDown();
+    doc.fontSize(10).fillColor(MUTED_COLOR)
+      .text('Please show this voucher together with a valid photo ID at check-in.');
+
+    doc.end();
+  });
+}
+
+module.exports = {
+  generateVoucher,
+  voucherFilename
+};
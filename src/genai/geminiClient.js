@@ -339,6 +339,45 @@ class GeminiClient {
       return null;
     }
   }
+
+  /**
+   * Generate content from multimodal parts (e.g. inline audio + instruction)
+   * @param {Array<Object>} parts - Gemini content parts ({ text } or { inlineData })
+   * @param {string} systemPrompt - System instruction
+   * @returns {Promise<string|null>}
+   */
+  async generateFromParts(parts, systemPrompt) {
+    if (!this.isReady()) {
+      logger.warn('Gemini client not ready, skipping generation');
+      return null;
+    }
+
+    try {
+      const startTime = Date.now();
+
+      const result = await this.model.generateContent({
+        contents: [{ role: 'user', parts }],
+        systemInstruction: systemPrompt,
+      });
+
+      const response = result.response.text();
+
+      logger.debug('Gemini multimodal generation complete', {
+        partCount: parts.length,
+        responseLength: response.length,
+        durationMs: Date.now() - startTime,
+      });
+
+      return response;
+    } catch (error) {
+      logger.error('❌ [GEMINI] Multimodal generation failed', {
+        error: (error.message || String(error)).substring(0, 300),
+        model: this.modelName,
+        source: 'GEMINI_ERROR'
+      });
+      return null;
+    }
+  }
 }
 
 // Export singleton instance
@@ -4,7 +4,8 @@
  */
 
 const logger = require('../utils/logger');
-const whatsappClient = require('../whatsapp/client');
+const channels = require('../channels');
+const { generateVoucher, voucherFilename } = require('../documents/voucher');
 
 /**
  * Booking flow steps
@@ -75,7 +76,7 @@ async function handleConfirmItem(to, session, message) {
   
   if (text.includes('yes') || text.includes('confirm') || text === 'confirm_yes') {
     // Move to collect details
-    await whatsappClient.sendText(to, 
+    await channels.current().sendText(to, 
       `Great choice! 🎉\n\nYou selected: *${item.title}*\n${item.price || ''}\n\nPlease provide your travel dates (e.g., "15 Jan - 18 Jan")`
     );
     
@@ -88,12 +89,12 @@ async function handleConfirmItem(to, session, message) {
     };
   } else if (text.includes('no') || text.includes('cancel') || text === 'confirm_no') {
     // Cancel booking
-    await whatsappClient.sendText(to, 'No problem! Let me know if you\'d like to explore other options.');
+    await channels.current().sendText(to, 'No problem! Let me know if you\'d like to explore other options.');
     return cancelBooking(session);
   }
   
   // Re-prompt
-  await whatsappClient.sendButtons(to, 
+  await channels.current().sendButtons(to, 
     `Would you like to book *${item.title}*?\n${item.price || ''}`,
     [
       { id: 'confirm_yes', title: '✅ Yes, Book' },
@@ -112,12 +113,12 @@ async function handleCollectDetails(to, session, message) {
   
   // Basic date validation (could be enhanced)
   if (text.length < 3) {
-    await whatsappClient.sendText(to, 'Please provide your travel dates (e.g., "15 Jan - 18 Jan")');
+    await channels.current().sendText(to, 'Please provide your travel dates (e.g., "15 Jan - 18 Jan")');
     return session;
   }
   
   // Store dates and move to confirmation
-  await whatsappClient.sendButtons(to,
+  await channels.current().sendButtons(to,
     `📋 *Booking Summary*\n\n` +
     `🏨 ${session.booking.item.title}\n` +
     `📅 ${text}\n` +
@@ -147,27 +148,73 @@ async function handleConfirmBooking(to, session, message) {
   
   if (text.includes('confirm') || text === 'book_confirm') {
     const { item, dates } = session.booking;
+    const bookingId = Date.now().toString(36).toUpperCase();
     
     // Send booking confirmation
-    await whatsappClient.sendText(to,
+    await channels.current().sendText(to,
       `🎉 *Booking Confirmed!*\n\n` +
       `📍 ${item.title}\n` +
       `📅 ${dates}\n` +
       `💰 ${item.price || 'Price on request'}\n\n` +
-      `Booking ID: #${Date.now().toString(36).toUpperCase()}\n\n` +
-      `Thank you for booking with us! You'll receive a confirmation email shortly.`
+      `Booking ID: #${bookingId}\n\n` +
+      `Thank you for booking with us! Your voucher is on its way.`
     );
     
-    logger.info('Booking completed', { itemId: item.id, dates });
+    logger.info('Booking completed', { itemId: item.id, bookingId, dates });
+
+    await sendVoucher(to, { bookingId, item, dates, guestPhone: to });
     
     // Clear booking state
     return cancelBooking(session);
   } else {
-    await whatsappClient.sendText(to, 'Booking cancelled. Feel free to explore more options!');
+    await channels.current().sendText(to, 'Booking cancelled. Feel free to explore more options!');
     return cancelBooking(session);
   }
 }
 
+/**
+ * Generate the PDF voucher and send it as a document
+ * The booking is already confirmed, so failures are logged and not raised
+ * @param {string} to - Recipient phone number
+ * @param {Object} voucherData - See documents/voucher VoucherData
+ * @returns {Promise<void>}
+ */
+async function sendVoucher(to, voucherData) {
+  try {
+    const pdf = await generateVoucher(voucherData);
+    const filename = voucherFilename(voucherData.bookingId);
+
+    await channels.current().sendDocument(to, { buffer: pdf, mimeType: 'application/pdf' }, filename,
+      '🧾 Your booking voucher - show it at check-in'
+    );
+    logger.info('Booking voucher sent', { bookingId: voucherData.bookingId, bytes: pdf.length });
+  } catch (error) {
+    // Token errors affect every send - let the orchestrator report them
+    if (error.isTokenError) {
+      throw error;
+    }
+
+    logger.error('Failed to send booking voucher', {
+      bookingId: voucherData.bookingId,
+      error: error.message
+    });
+    // The booking is already confirmed - a failed notice must not fail it
+    try {
+      await channels.current().sendText(to,
+        `We couldn't attach your voucher right now - please keep your Booking ID #${voucherData.bookingId} handy.`
+      );
+    } catch (noticeError) {
+      if (noticeError.isTokenError) {
+        throw noticeError;
+      }
+      logger.warn('Failed to send voucher fallback notice', {
+        bookingId: voucherData.bookingId,
+        error: noticeError.message
+      });
+    }
+  }
+}
+
 /**
  * Cancel/clear booking from session
  * @param {Object} session
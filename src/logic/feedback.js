@@ -0,0 +1,104 @@
+/**
+ * Reaction Feedback
+ * Turns user reactions on our messages into feedback events and a product shortlist
+ */
+
+const config = require('../config');
+
+/**
+ * @typedef {Object} FeedbackEvent
+ * @property {string} messageId - Our message the user reacted to
+ * @property {string} emoji
+ * @property {boolean} positive - Whether the emoji counts as a positive signal
+ * @property {'product'|'comparison'|'message'} target - What the message showed
+ * @property {string|null} messageType - WhatsApp type of the reacted message, when still tracked
+ * @property {string|null} productId - Product shown, for product cards
+ * @property {string|null} conversationId - Myra conversation at the time of the reaction
+ * @property {number} reactedAt
+ */
+
+/**
+ * Compare emoji without the variation selector (❤ and ❤️ are the same reaction)
+ * @param {string} emoji
+ * @returns {string}
+ */
+function normalizeEmoji(emoji) {
+  return (emoji || '').replace(/\uFE0F/g, '');
+}
+
+/**
+ * Check if a reaction counts as a positive signal
+ * @param {string} emoji
+ * @returns {boolean}
+ */
+function isPositive(emoji) {
+  return config.feedback.positiveReactions.some(positive => normalizeEmoji(positive) === normalizeEmoji(emoji));
+}
+
+/**
+ * Work out what the reacted message showed
+ * @param {Object} session
+ * @param {string} messageId - Reacted message ID
+ * @returns {{target: string, product: Object|null}}
+ */
+function resolveTarget(session, messageId) {
+  const product = session.cardMessages?.[messageId];
+  if (product) {
+    return { target: 'product', product };
+  }
+  if (session.comparisonMessages?.includes(messageId)) {
+    return { target: 'comparison', product: null };
+  }
+  return { target: 'message', product: null };
+}
+
+/**
+ * Record (or, with an empty emoji, withdraw) a reaction on one of our messages
+ * Reacting again to the same message replaces the previous reaction, as in WhatsApp
+ * @param {Object} session - User session
+ * @param {{messageId: string, emoji: string|null}} reaction - Normalized reaction
+ * @param {Object|null} [outbound] - Status record of the reacted message (MessageStatusTracker)
+ * @returns {{session: Object, event: FeedbackEvent|null}} Updated session and the recorded event
+ */
+function recordReaction(session, reaction, outbound = null) {
+  const { target, product } = resolveTarget(session, reaction.messageId);
+  const feedback = (session.feedback || []).filter(event => event.messageId !== reaction.messageId);
+  let shortlist = session.shortlist || [];
+  let event = null;
+
+  if (reaction.emoji) {
+    event = {
+      messageId: reaction.messageId,
+      emoji: reaction.emoji,
+      positive: isPositive(reaction.emoji),
+      target,
+      messageType: outbound?.type || null,
+      productId: product?.id || null,
+      conversationId: session.conversationId || null,
+      reactedAt: Date.now()
+    };
+    feedback.push(event);
+  }
+
+  // Shortlist follows the product's latest reaction
+  if (product && config.feedback.shortlistOnReaction) {
+    shortlist = shortlist.filter(item => item.id !== product.id);
+    if (event?.positive) {
+      shortlist.push({ ...product, shortlistedAt: Date.now() });
+    }
+  }
+
+  return {
+    session: {
+      ...session,
+      feedback: feedback.slice(-config.feedback.maxEvents),
+      shortlist
+    },
+    event
+  };
+}
+
+module.exports = {
+  recordReaction,
+  isPositive
+};
@@ -151,10 +151,12 @@ function checkButtonAction(buttonId) {
     return { type: 'action', action: parts[1], payload: parts.slice(2).join('_') };
   }
 
-  // Suggestion buttons
+  // Suggestion buttons/list rows: suggestion_<turn>_<index> (suggestion_<index> on older messages)
   if (buttonId.startsWith('suggestion_')) {
-    const index = parseInt(buttonId.replace('suggestion_', ''), 10);
-    return { type: 'suggestion', index };
+    const parts = buttonId.replace('suggestion_', '').split('_').map(part => parseInt(part, 10));
+    return parts.length > 1
+      ? { type: 'suggestion', turn: parts[0], index: parts[1] }
+      : { type: 'suggestion', turn: null, index: parts[0] };
   }
 
   // View hotel details button
@@ -163,6 +165,12 @@ function checkButtonAction(buttonId) {
     return { type: 'viewHotel', hotelId };
   }
 
+  // Map button (location pin for products with coordinates)
+  if (buttonId.startsWith('map_')) {
+    const productId = buttonId.replace('map_', '');
+    return { type: 'map', productId };
+  }
+
   // Book Now button (for products with booking links)
   if (buttonId.startsWith('book_')) {
     const productId = buttonId.replace('book_', '');
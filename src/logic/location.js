@@ -0,0 +1,138 @@
+/**
+ * Location Context
+ * Remembers locations shared by the user and attaches them to Myra searches
+ */
+
+const logger = require('../utils/logger');
+
+// Phrases that mean "relative to where I am"
+const NEARBY_PATTERNS = [
+  /\bnear\s*(me|by|here)\b/i,
+  /\bnearby\b/i,
+  /\baround\s*(me|here)\b/i,
+  /\bclose\s*(to\s*)?(me|by|here)\b/i,
+  /\bmy\s*(current\s*)?location\b/i
+];
+
+/**
+ * Store shared location in session
+ * @param {Object} session - User session
+ * @param {Object} location - Normalized location { latitude, longitude, name, address }
+ * @returns {Object} Updated session
+ */
+function rememberLocation(session, location) {
+  logger.info('Remembering shared location', {
+    latitude: location.latitude,
+    longitude: location.longitude,
+    hasName: !!location.name
+  });
+
+  return {
+    ...session,
+    lastLocation: {
+      ...location,
+      sharedAt: Date.now()
+    }
+  };
+}
+
+/**
+ * Get last shared location from session
+ * @param {Object} session
+ * @returns {Object|null}
+ */
+function getLocation(session) {
+  return session?.lastLocation || null;
+}
+
+/**
+ * Check if query refers to the user's own location ("hotels near me")
+ * @param {string} text
+ * @returns {boolean}
+ */
+function isNearbyQuery(text) {
+  if (!text || typeof text !== 'string') {
+    return false;
+  }
+  return NEARBY_PATTERNS.some(pattern => pattern.test(text));
+}
+
+/**
+ * Human-readable description of a location
+ * @param {Object} location
+ * @returns {string}
+ */
+function describeLocation(location) {
+  const place = [location.name, location.address].filter(Boolean).join(', ');
+  const coordinates = `${location.latitude}, ${location.longitude}`;
+  return place ? `${place} (${coordinates})` : coordinates;
+}
+
+/**
+ * Build Myra query for a freshly shared location
+ * @param {Object} location
+ * @returns {string}
+ */
+function buildLocationQuery(location) {
+  return `Show me hotels near ${describeLocation(location)}`;
+}
+
+/**
+ * Add location to a "nearby" query so Myra knows where "near me" is
+ * @param {string} text - User query
+ * @param {Object} location
+ * @returns {string}
+ */
+function withLocation(text, location) {
+  return `${text} (my location: ${describeLocation(location)})`;
+}
+
+/**
+ * Read coordinates from Myra card data (shapes vary: top-level, location, geo, coordinates)
+ * @param {Object} data - Card data
+ * @returns {{latitude: number, longitude: number}|null}
+ */
+function extractCoordinates(data) {
+  const candidates = [data, data?.location, data?.geo, data?.geo_location, data?.coordinates];
+
+  for (const candidate of candidates) {
+    if (!candidate || typeof candidate !== 'object') {
+      continue;
+    }
+
+    const latitude = parseFloat(candidate.latitude ?? candidate.lat);
+    const longitude = parseFloat(candidate.longitude ?? candidate.lng ?? candidate.lon);
+    if (Math.abs(latitude) <= 90 && Math.abs(longitude) <= 180) {
+      return { latitude, longitude };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Build Myra search context from a location
+ * @param {Object} location
+ * @returns {Object}
+ */
+function buildSearchContext(location) {
+  return {
+    userLocation: {
+      latitude: location.latitude,
+      longitude: location.longitude,
+      name: location.name || null,
+      address: location.address || null
+    }
+  };
+}
+
+module.exports = {
+  rememberLocation,
+  getLocation,
+  isNearbyQuery,
+  describeLocation,
+  buildLocationQuery,
+  withLocation,
+  extractCoordinates,
+  buildSearchContext
+};
@@ -0,0 +1,121 @@
+/**
+ * Per-User Message Queue
+ * Runs tasks for the same user strictly one at a time (FIFO), different users in parallel
+ */
+
+const logger = require('../utils/logger');
+
+/**
+ * What to do when a user's queue is full
+ */
+const OVERFLOW_POLICIES = {
+  DROP_NEWEST: 'drop_newest', // Reject the incoming message
+  DROP_OLDEST: 'drop_oldest'  // Discard the oldest waiting message to make room
+};
+
+class UserMessageQueue {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxDepth] - Max messages waiting per user (not counting the one running)
+   * @param {string} [options.overflowPolicy] - One of OVERFLOW_POLICIES
+   */
+  constructor(options = {}) {
+    this.maxDepth = options.maxDepth || 5;
+    this.overflowPolicy = options.overflowPolicy || OVERFLOW_POLICIES.DROP_NEWEST;
+    this.queues = new Map();
+  }
+
+  /**
+   * Queue a task for a user
+   * Resolves with the task result, or with { dropped: true } if it was discarded on overflow
+   * @param {string} userId
+   * @param {Function} task - Async function to run
+   * @returns {Promise<*>}
+   */
+  enqueue(userId, task) {
+    return new Promise((resolve, reject) => {
+      let queue = this.queues.get(userId);
+      if (!queue) {
+        queue = { active: false, pending: [] };
+        this.queues.set(userId, queue);
+      }
+
+      if (queue.pending.length >= this.maxDepth) {
+        logger.warn('User message queue full', {
+          userId,
+          depth: queue.pending.length,
+          policy: this.overflowPolicy
+        });
+
+        if (this.overflowPolicy === OVERFLOW_POLICIES.DROP_OLDEST) {
+          const dropped = queue.pending.shift();
+          dropped.resolve({ dropped: true });
+        } else {
+          resolve({ dropped: true });
+          return;
+        }
+      }
+
+      queue.pending.push({ task, resolve, reject, enqueuedAt: Date.now() });
+
+      if (queue.active) {
+        logger.debug('Message queued behind in-flight message', { userId, depth: queue.pending.length });
+      }
+
+      this._drain(userId);
+    });
+  }
+
+  /**
+   * Run queued tasks for a user until the queue is empty
+   * @param {string} userId
+   */
+  async _drain(userId) {
+    const queue = this.queues.get(userId);
+    if (!queue || queue.active) {
+      return;
+    }
+
+    queue.active = true;
+
+    while (queue.pending.length > 0) {
+      const { task, resolve, reject, enqueuedAt } = queue.pending.shift();
+      const waitMs = Date.now() - enqueuedAt;
+      if (waitMs > 1000) {
+        logger.debug('Running queued message', { userId, waitMs });
+      }
+
+      try {
+        resolve(await task());
+      } catch (error) {
+        reject(error);
+      }
+    }
+
+    queue.active = false;
+    this.queues.delete(userId);
+  }
+
+  /**
+   * Number of messages waiting for a user (excluding the one running)
+   * @param {string} userId
+   * @returns {number}
+   */
+  depth(userId) {
+    return this.queues.get(userId)?.pending.length || 0;
+  }
+
+  /**
+   * Check if a message is currently being processed for a user
+   * @param {string} userId
+   * @returns {boolean}
+   */
+  isBusy(userId) {
+    return !!this.queues.get(userId)?.active;
+  }
+}
+
+module.exports = {
+  UserMessageQueue,
+  OVERFLOW_POLICIES
+};
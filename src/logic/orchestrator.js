@@ -5,23 +5,77 @@
 
 const logger = require('../utils/logger');
 const SessionManager = require('../session/SessionManager');
-const MemoryStore = require('../session/MemoryStore');
+const createStore = require('../session/createStore');
+const MessageDeduplicator = require('../session/MessageDeduplicator');
+const ServiceWindowTracker = require('../session/ServiceWindowTracker');
+const MessageStatusTracker = require('../session/MessageStatusTracker');
+const config = require('../config');
 const myraClient = require('../myra/wsClient');
-const whatsappClient = require('../whatsapp/client');
-const { renderResponse, renderCarouselItem } = require('../whatsapp/renderer');
+const channels = require('../channels');
+const { renderResponse, renderCarouselItem, renderBookingLink } = require('../whatsapp/renderer');
 const { applyGuardrails, checkButtonAction } = require('./guardrails');
 const carousel = require('./carousel');
 const booking = require('./booking');
+const locationContext = require('./location');
+const feedback = require('./feedback');
+const suggestions = require('./suggestions');
+const typingIndicator = require('./typingIndicator');
+const { UserMessageQueue } = require('./messageQueue');
 const genai = require('../genai');
 const travelFilter = require('../genai/travelFilter');
 const responseGenerator = require('../genai/responseGenerator');
+const stt = require('../stt');
 
-// Initialize session manager
-const sessionManager = new SessionManager(new MemoryStore());
+// Initialize session manager - sessions are kept per channel and tenant (business number)
+const sessionManager = new SessionManager(createStore(), { scopeKey: channels.scopeKey });
+
+// Processed message IDs, kept for the dedup window
+const messageDeduplicator = new MessageDeduplicator(createStore({
+  ttlMinutes: config.dedup.ttlMinutes,
+  namespace: 'dedup'
+}));
+
+// Last inbound message per user - kept for two windows, so a window that closed is known
+// as closed rather than unknown (unknown windows are sent to and left to Graph)
+const serviceWindow = new ServiceWindowTracker(createStore({
+  ttlMinutes: 2 * ServiceWindowTracker.WINDOW_MS / 60000,
+  namespace: 'window'
+}), { scopeKey: channels.scopeKey });
+
+// Lifecycle of every outbound message, fed by status webhooks
+const messageStatus = new MessageStatusTracker(createStore({
+  ttlMinutes: config.messageStatus.ttlMinutes,
+  namespace: 'status'
+}));
+
+// Failures that hit every message to the user - a fallback would fail the same way
+const NON_RECOVERABLE_STATUS_ERRORS = [
+  131026, // Message undeliverable
+  131030, // Recipient not in allowed list
+  131047, // Customer service window closed
+  131050  // User stopped marketing messages
+];
+
+// Product cards remembered per session for quoted replies (oldest dropped first)
+const MAX_CARD_MESSAGES = 30;
+
+// Quoted reply that means "book the product in this card"
+const BOOKING_INTENT = /\b(book|reserve)\b/i;
+// ...unless it is negated ("don't book this") or asked ("should I book this?")
+const NEGATION = /\b(no|not|never|don'?t|doesn'?t|won'?t|wouldn'?t|shouldn'?t|cancel)\b/i;
+const QUESTION = /\?\s*$|^\s*(should|shall|can|could|would|will|is|are|do|does|how|what|when|where|why|which)\b/i;
+
+// Serializes messages per user so concurrent messages can't clobber each other's session
+const userQueue = new UserMessageQueue({
+  maxDepth: config.processing.userQueueMaxDepth,
+  overflowPolicy: config.processing.userQueueOverflowPolicy
+});
 
 /**
  * Process incoming message
  * @param {Object} normalizedMessage - Normalized WhatsApp message
+ * @returns {Promise<{duplicate: true}|{dropped: true}|undefined>} Resolves with { duplicate: true } when the message
+ *   was already processed, { dropped: true } when the user's queue overflowed
  */
 async function processMessage(normalizedMessage) {
   const { userId, type, text, buttonId, listId, messageId } = normalizedMessage;
@@ -34,6 +88,46 @@ async function processMessage(normalizedMessage) {
     hasListId: !!listId
   });
   
+  // Skip webhook retries of messages we already handled
+  if (await messageDeduplicator.isDuplicate(messageId)) {
+    logger.info('🔁 Skipping duplicate message', { userId, messageId });
+    return { duplicate: true };
+  }
+  
+  // Record before queueing - any reply sent from now on is inside the window
+  await serviceWindow.recordInbound(userId, normalizedMessage.timestamp);
+  
+  const result = await userQueue.enqueue(channels.scopeKey(userId), () => runMessage(normalizedMessage));
+  
+  if (result?.dropped) {
+    logger.warn('🚫 Message dropped - user queue full', { userId, messageId });
+    try {
+      await channels.current().sendText(userId,
+        "⏳ I'm still working on your earlier messages. Please wait for my reply and try again."
+      );
+    } catch (error) {
+      logger.debug('Failed to send queue-full notice (non-critical)', { error: error.message });
+    }
+  } else if (config.whatsapp.processedReaction && !result?.failed && type !== 'reaction') {
+    // Reactions can't be reacted to
+    try {
+      await channels.current().sendReaction(userId, messageId, config.whatsapp.processedReaction);
+    } catch (error) {
+      logger.debug('Failed to send processed reaction (non-critical)', { error: error.message });
+    }
+  }
+  
+  return result;
+}
+
+/**
+ * Process a message once it reaches the front of the user's queue
+ * @param {Object} normalizedMessage - Normalized WhatsApp message
+ * @returns {Promise<{failed: true}|undefined>} Resolves with { failed: true } when processing threw
+ */
+async function runMessage(normalizedMessage) {
+  const { userId, type, text, buttonId, listId, messageId, replyTo } = normalizedMessage;
+  
   try {
     // Load or create session
     let session = await sessionManager.get(userId) || {
@@ -48,6 +142,13 @@ async function processMessage(normalizedMessage) {
       sessionKeys: Object.keys(session)
     });
 
+    // Reactions are feedback, not input - they never interrupt a booking
+    if (type === 'reaction' && normalizedMessage.reaction?.messageId) {
+      session = await handleReaction(userId, session, normalizedMessage.reaction);
+      await sessionManager.set(userId, session);
+      return;
+    }
+
     // Check if booking is in progress
     if (booking.hasActiveBooking(session)) {
       session = await booking.processBookingStep(userId, session, normalizedMessage);
@@ -62,6 +163,14 @@ async function processMessage(normalizedMessage) {
       return;
     }
 
+    // Handle quoted reply to one of our product cards
+    const quotedProduct = replyTo ? session.cardMessages?.[replyTo] : null;
+    if (type === 'text' && text && quotedProduct) {
+      session = await handleQuotedReply(userId, session, quotedProduct, text, messageId);
+      await sessionManager.set(userId, session);
+      return;
+    }
+
     // Handle text message
     if (type === 'text' && text) {
       session = await handleTextMessage(userId, session, text, messageId);
@@ -69,6 +178,27 @@ async function processMessage(normalizedMessage) {
       return;
     }
 
+    // Handle shared location
+    if (type === 'location' && normalizedMessage.location) {
+      session = await handleLocationMessage(userId, session, normalizedMessage.location, messageId);
+      await sessionManager.set(userId, session);
+      return;
+    }
+
+    // Handle forwarded screenshots and documents
+    if ((type === 'image' || type === 'document') && normalizedMessage.media?.id) {
+      session = await handleMediaMessage(userId, session, type, normalizedMessage.media, messageId);
+      await sessionManager.set(userId, session);
+      return;
+    }
+
+    // Handle voice note
+    if (type === 'audio' && normalizedMessage.media?.id) {
+      session = await handleAudioMessage(userId, session, normalizedMessage.media, messageId);
+      await sessionManager.set(userId, session);
+      return;
+    }
+
     logger.warn('Unhandled message type', { type });
     
   } catch (error) {
@@ -95,6 +225,12 @@ async function processMessage(normalizedMessage) {
         errorCode: error.code,
         originalMessage: error.originalMessage
       });
+    } else if (error.isWindowClosed) {
+      // Window closed - free-form error message would be refused too
+      logger.warn('Cannot send error message - customer service window closed', {
+        phoneNumber: error.phoneNumber,
+        lastInboundAt: error.lastInboundAt
+      });
     } else if (error.isRecipientNotAllowed) {
       // For recipient not allowed errors, just log - don't try to send message
       logger.warn('Cannot send error message - recipient not in allowed list', {
@@ -105,7 +241,7 @@ async function processMessage(normalizedMessage) {
       // For other errors, try to send error message
       // Note: Processing message was already sent, so user will see that followed by error message
       try {
-        await whatsappClient.sendText(userId, 
+        await channels.current().sendText(userId, 
           "I'm sorry, I encountered an issue. Please try again in a moment."
         );
       } catch (sendError) {
@@ -121,7 +257,218 @@ async function processMessage(normalizedMessage) {
         });
       }
     }
+    
+    return { failed: true };
+  }
+}
+
+/**
+ * Handle shared location - remember it and search around it
+ * @param {string} userId
+ * @param {Object} session
+ * @param {Object} location - Normalized location
+ * @param {string} [messageId]
+ * @returns {Promise<Object>} Updated session
+ */
+async function handleLocationMessage(userId, session, location, messageId = null) {
+  logger.info('📍 [LOCATION] Location shared by user', {
+    userId,
+    latitude: location.latitude,
+    longitude: location.longitude,
+    name: location.name
+  });
+
+  session = locationContext.rememberLocation(session, location);
+
+  // Answer the "near me" question that made us ask for the location
+  const { pendingNearbyQuery, ...rest } = session;
+  session = rest;
+  const query = pendingNearbyQuery
+    ? locationContext.withLocation(pendingNearbyQuery, location)
+    : locationContext.buildLocationQuery(location);
+
+  return handleTextMessage(userId, session, query, messageId, {
+    searchContext: locationContext.buildSearchContext(location)
+  });
+}
+
+/**
+ * Handle a quoted reply to a product card
+ * "Book this one" starts booking that product; anything else goes to Myra with the product named
+ * @param {string} userId
+ * @param {Object} session
+ * @param {Object} product - Product shown in the quoted card
+ * @param {string} text - Reply text
+ * @param {string} [messageId]
+ * @returns {Promise<Object>} Updated session
+ */
+async function handleQuotedReply(userId, session, product, text, messageId = null) {
+  // startItemBooking still asks for confirmation before anything is booked
+  const isBooking = BOOKING_INTENT.test(text) && !NEGATION.test(text) && !QUESTION.test(text);
+  logger.info('💬 [QUOTE] Reply to product card', {
+    userId,
+    productId: product.id,
+    title: product.title,
+    isBooking
+  });
+
+  if (isBooking) {
+    return startItemBooking(userId, session, product);
+  }
+
+  // Questions about a card are travel questions, whatever the wording
+  return handleTextMessage(userId, session, `About ${product.title}: ${text}`, messageId, {
+    skipTravelFilter: 'Reply to a product card'
+  });
+}
+
+/**
+ * Handle an emoji reaction on one of our messages
+ * Stored as a feedback event; a positive reaction on a product card shortlists the product
+ * @param {string} userId
+ * @param {Object} session
+ * @param {{messageId: string, emoji: string|null}} reaction - Normalized reaction
+ * @returns {Promise<Object>} Updated session
+ */
+async function handleReaction(userId, session, reaction) {
+  const outbound = await messageStatus.get(reaction.messageId);
+  const { session: updatedSession, event } = feedback.recordReaction(session, reaction, outbound);
+
+  logger.info('👍 [FEEDBACK] Reaction on our message', {
+    userId,
+    messageId: reaction.messageId,
+    emoji: reaction.emoji || '(removed)',
+    target: event?.target,
+    productId: event?.productId,
+    positive: event?.positive,
+    shortlistSize: updatedSession.shortlist.length
+  });
+
+  return { ...updatedSession, updatedAt: Date.now() };
+}
+
+/**
+ * Start booking an item and ask the user to confirm it
+ * @param {string} userId
+ * @param {Object} session
+ * @param {Object} item - Carousel item or product card
+ * @returns {Promise<Object>} Updated session
+ */
+async function startItemBooking(userId, session, item) {
+  session = carousel.clearCarousel(session);
+  session = booking.startBooking(session, item);
+  
+  // Prompt for confirmation
+  await channels.current().sendButtons(userId,
+    `You selected:\n\n*${item.title}*\n${item.subtitle || ''}\n💰 ${item.price || 'Price on request'}\n\nWould you like to proceed with booking?`,
+    [
+      { id: 'confirm_yes', title: '✅ Yes, Book' },
+      { id: 'confirm_no', title: '❌ No, Cancel' }
+    ]
+  );
+
+  return session;
+}
+
+/**
+ * Handle image/document - remember it and route the caption like a text message
+ * The media itself is kept as a reference; download it with the channel's downloadMedia()
+ * @param {string} userId
+ * @param {Object} session
+ * @param {'image'|'document'} type
+ * @param {Object} media - Normalized media reference
+ * @param {string} [messageId]
+ * @returns {Promise<Object>} Updated session
+ */
+async function handleMediaMessage(userId, session, type, media, messageId = null) {
+  logger.info('📎 [MEDIA] Media received from user', {
+    userId,
+    type,
+    mediaId: media.id,
+    mimeType: media.mimeType,
+    hasCaption: !!media.caption,
+    filename: media.filename
+  });
+
+  session = {
+    ...session,
+    lastMedia: {
+      id: media.id,
+      type,
+      mimeType: media.mimeType,
+      caption: media.caption || null,
+      filename: media.filename || null,
+      receivedAt: Date.now(),
+      // The next text (the caption, or the user's reply to our question) is about it
+      pending: true
+    }
+  };
+
+  if (media.caption) {
+    return handleTextMessage(userId, session, media.caption, messageId);
   }
+
+  await channels.current().sendText(userId, type === 'image'
+    ? '📎 Got your screenshot! What would you like to know about it?'
+    : `📎 Got ${media.filename ? `*${media.filename}*` : 'your document'}! What would you like me to do with it?`
+  );
+  return session;
+}
+
+/**
+ * Tell Myra what the user just sent - it can't fetch WhatsApp media, so only the kind of
+ * file and its name go along as text
+ * @param {Object} lastMedia - session.lastMedia
+ * @returns {string} e.g. (about the document "booking.pdf" I sent)
+ */
+function describeMedia(lastMedia) {
+  const kind = lastMedia.type === 'image' ? 'image' : 'document';
+  return `(about the ${kind}${lastMedia.filename ? ` "${lastMedia.filename}"` : ''} I sent)`;
+}
+
+/**
+ * Handle voice note - transcribe it and route the transcript like a text message
+ * @param {string} userId
+ * @param {Object} session
+ * @param {Object} media - Normalized media reference
+ * @param {string} [messageId]
+ * @returns {Promise<Object>} Updated session
+ */
+async function handleAudioMessage(userId, session, media, messageId = null) {
+  logger.info('🎙️ [STT] Voice note received', {
+    userId,
+    mediaId: media.id,
+    mimeType: media.mimeType,
+    voice: media.voice
+  });
+
+  // Download errors (token, network) propagate to the generic error handling
+  const audio = await channels.current().downloadMedia(media.id);
+
+  let transcription = null;
+  try {
+    transcription = await stt.transcribe(audio.buffer, audio.mimeType || media.mimeType);
+  } catch (error) {
+    logger.error('❌ [STT] Transcription failed', { userId, error: error.message, stack: error.stack });
+  }
+
+  if (!transcription?.text) {
+    await channels.current().sendText(userId,
+      "Sorry, I couldn't make out your voice note. Could you try again or type your message?"
+    );
+    session.updatedAt = Date.now();
+    return session;
+  }
+
+  logger.info('🎙️ [STT] Routing transcript', {
+    userId,
+    transcript: transcription.text.substring(0, 100),
+    language: transcription.language
+  });
+
+  return handleTextMessage(userId, session, transcription.text, messageId, {
+    sttLanguage: transcription.language
+  });
 }
 
 /**
@@ -129,11 +476,19 @@ async function processMessage(normalizedMessage) {
  * @param {string} userId
  * @param {Object} session
  * @param {string} text
+ * @param {string} [messageId]
+ * @param {Object} [options]
+ * @param {Object} [options.searchContext] - Search context to send to Myra (e.g. user location)
+ * @param {string} [options.sttLanguage] - Detected language when the text came from a voice note
+ * @param {string} [options.skipTravelFilter] - Reason to send straight to Myra (e.g. a question about a card)
  * @returns {Promise<Object>} Updated session
  */
-async function handleTextMessage(userId, session, text, messageId = null) {
-  let myraResponse;
-  let processingMessageSent = false;
+async function handleTextMessage(userId, session, text, messageId = null, options = {}) {
+  // Only the message right after an image/document is taken to be about it
+  const mediaNote = session.lastMedia?.pending ? describeMedia(session.lastMedia) : null;
+  if (mediaNote) {
+    session = { ...session, lastMedia: { ...session.lastMedia, pending: false } };
+  }
 
   // Check if query is travel-related BEFORE sending to Myra
   logger.info('🔍 [ROUTING] Checking if query is travel-related...', { 
@@ -141,7 +496,9 @@ async function handleTextMessage(userId, session, text, messageId = null) {
     queryPreview: text.substring(0, 50) 
   });
   
-  const travelCheck = await travelFilter.checkIfTravelRelated(text);
+  const travelCheck = options.skipTravelFilter
+    ? { isTravelRelated: true, confidence: 1, reason: options.skipTravelFilter }
+    : await travelFilter.checkIfTravelRelated(text);
   
   if (travelCheck && !travelCheck.isTravelRelated) {
     // Non-travel query - use Gemini to generate response
@@ -159,7 +516,7 @@ async function handleTextMessage(userId, session, text, messageId = null) {
       const geminiResponse = await responseGenerator.generateGeneralResponse(text, session);
       
       if (geminiResponse) {
-        await whatsappClient.sendText(userId, geminiResponse);
+        await channels.current().sendText(userId, geminiResponse);
         logger.info('✅ [GEMINI] Response sent to user', { 
           userId,
           responseLength: geminiResponse.length,
@@ -170,7 +527,7 @@ async function handleTextMessage(userId, session, text, messageId = null) {
         // Fallback if Gemini fails
         logger.warn('⚠️ [GEMINI] Response generation returned null, using fallback', { userId });
         const fallbackResponse = responseGenerator.generateFallbackResponse(text);
-        await whatsappClient.sendText(userId, fallbackResponse);
+        await channels.current().sendText(userId, fallbackResponse);
         logger.info('✅ [GEMINI] Fallback response sent to user', { 
           userId,
           source: 'GEMINI_FALLBACK'
@@ -204,91 +561,147 @@ async function handleTextMessage(userId, session, text, messageId = null) {
     });
   }
 
-  // Send a quick "Processing..." message to show user that response is coming
-  // This provides visual feedback since typing indicators aren't supported
-  try {
-    await whatsappClient.sendText(userId, '⏳ Processing your request...');
-    processingMessageSent = true;
-    logger.info('⏳ [MYRA] Sent processing message', { userId, messageId, source: 'MYRA' });
-  } catch (error) {
-    // Non-critical, continue processing even if this fails
-    logger.debug('⚠️ [MYRA] Failed to send processing message (non-critical)', { error: error.message });
+  // "Near me" without a shared location - ask for it and answer once it arrives
+  const sharedLocation = locationContext.getLocation(session);
+  if (!options.searchContext && !sharedLocation && locationContext.isNearbyQuery(text)) {
+    logger.info('📍 [LOCATION] Nearby query without location - requesting it', { userId });
+    await channels.current().sendLocationRequest(userId,
+      '📍 Share your location and I\'ll find options near you.'
+    );
+    return { ...session, pendingNearbyQuery: text };
+  }
+
+  // Show "typing..." until Myra's reply stream ends (text placeholder if the indicator fails)
+  const typing = await typingIndicator.startTyping(userId, messageId);
+
+  // Reuse the last shared location for "near me" style queries
+  let myraText = text;
+  let searchContext = options.searchContext || null;
+  if (!searchContext && sharedLocation && locationContext.isNearbyQuery(text)) {
+    searchContext = locationContext.buildSearchContext(sharedLocation);
+    myraText = locationContext.withLocation(text, sharedLocation);
+    logger.info('📍 [MYRA] Attaching shared location to nearby query', { userId, source: 'MYRA' });
+  }
+
+  if (mediaNote) {
+    myraText = `${myraText} ${mediaNote}`;
+    logger.info('📎 [MYRA] Mentioning the media the user just sent', { userId, source: 'MYRA' });
   }
 
   // Ensure WebSocket is connected
   if (!myraClient.isConnected) {
     logger.info('🔌 [MYRA] Connecting to Myra WebSocket...', { userId });
-    await myraClient.connect();
+    try {
+      await myraClient.connect();
+    } catch (error) {
+      typing.stop();
+      throw error;
+    }
   }
 
-  // Send to Myra AI
-  if (!session.conversationId) {
-    // New conversation
+  // Send to Myra AI - the reply streams in: cards first, then the follow-up question
+  // and suggestions, each rendered as soon as it arrives
+  const isNewChat = !session.conversationId;
+  let stream;
+  if (isNewChat) {
     logger.info('🆕 [MYRA] Creating new Myra conversation', { 
       userId,
       userMessage: text.substring(0, 100),
       source: 'MYRA'
     });
-    try {
-      logger.info('⏳ [MYRA] Waiting for Myra response (newChat)...', { userId });
-      myraResponse = await myraClient.newChat(text);
-      logger.info('✅ [MYRA] newChat response received', { 
-        userId,
-        hasData: !!myraResponse,
-        hasDataData: !!myraResponse?.data,
-        conversationId: myraResponse?.data?.conversationId,
-        eventType: myraResponse?.eventType,
-        responseKeys: myraResponse ? Object.keys(myraResponse) : [],
-        source: 'MYRA'
-      });
-    } catch (error) {
-      logger.error('❌ [MYRA] Error getting Myra response (newChat)', { 
-        userId,
-        error: error.message,
-        stack: error.stack,
-        errorType: error.constructor.name,
-        source: 'MYRA_ERROR'
-      });
-      throw error;
-    }
-    
-    // Extract conversation ID from NEW_CHAT_CREATED or NEW_MESSAGE
-    if (myraResponse.data?.conversationId) {
-      session.conversationId = myraResponse.data.conversationId;
-      logger.info('💾 [MYRA] Conversation ID saved to session', { 
-        userId,
-        conversationId: session.conversationId,
-        source: 'MYRA'
-      });
-    }
+    logger.info('⏳ [MYRA] Waiting for Myra response (newChat)...', { userId });
+    stream = myraClient.newChatStream(myraText, { searchContext, sttLanguage: options.sttLanguage });
   } else {
-    // Existing conversation
     logger.info('💬 [MYRA] Sending message to existing Myra conversation', { 
       userId,
       conversationId: session.conversationId,
       userMessage: text.substring(0, 100),
       source: 'MYRA'
     });
-    try {
-      logger.info('⏳ [MYRA] Waiting for Myra response (postMessage)...', { userId });
-      myraResponse = await myraClient.postMessage(session.conversationId, text);
-      logger.info('✅ [MYRA] postMessage response received', { 
+    logger.info('⏳ [MYRA] Waiting for Myra response (postMessage)...', { userId });
+    stream = myraClient.postMessageStream(session.conversationId, myraText, { searchContext, sttLanguage: options.sttLanguage });
+  }
+
+  // Content already sent this turn - Myra may repeat it in later updates
+  const state = { renderedContentIds: new Set(), rendered: false };
+  let updates = 0;
+  // "typing..." stays on while Myra is still streaming (follow-up question after the cards)
+  try {
+    for await (const myraResponse of stream) {
+      updates++;
+      logger.info(`✅ [MYRA] ${isNewChat ? 'newChat' : 'postMessage'} response received`, { 
         userId,
-        hasData: !!myraResponse,
-        hasDataData: !!myraResponse?.data,
+        update: updates,
         conversationId: myraResponse?.data?.conversationId,
         eventType: myraResponse?.eventType,
+        isCompleted: myraResponse?.data?.message?.isCompleted === true,
         source: 'MYRA'
       });
-    } catch (error) {
-      logger.error('❌ [MYRA] Error getting Myra response (postMessage)', { 
-        userId,
-        error: error.message,
-        stack: error.stack,
-        source: 'MYRA_ERROR'
-      });
-      throw error;
+      session = await handleMyraUpdate(userId, session, myraResponse, text, state);
     }
+  } catch (error) {
+    logger.error(`❌ [MYRA] Error getting Myra response (${isNewChat ? 'newChat' : 'postMessage'})`, { 
+      userId,
+      error: error.message,
+      stack: error.stack,
+      errorType: error.constructor.name,
+      source: 'MYRA_ERROR'
+    });
+    throw error;
+  } finally {
+    typing.stop();
+  }
+
+  if (stream.timedOut) {
+    logger.warn('⚠️ [MYRA] Reply not marked completed - stopped waiting for more updates', {
+      userId,
+      updates,
+      rendered: state.rendered,
+      source: 'MYRA'
+    });
+  }
+
+  // Loader-only updates or a stream cut short before any content - don't leave the user hanging
+  if (!state.rendered) {
+    logger.warn('⚠️ [MYRA] Stream ended without a reply to show', { userId, updates, source: 'MYRA' });
+    await channels.current().sendText(userId,
+      "Sorry, I couldn't get an answer for that right now. Please try again or rephrase your question."
+    );
+  }
+
+  session.updatedAt = Date.now();
+  return session;
+}
+
+/**
+ * Render one streamed Myra update and store what it showed in the session
+ * @param {string} userId
+ * @param {Object} session
+ * @param {Object} myraResponse - NEW_MESSAGE update
+ * @param {string} text - User message the reply is for
+ * @param {Object} state - { renderedContentIds, rendered } shared by the updates of one reply
+ * @returns {Promise<Object>} Updated session
+ */
+async function handleMyraUpdate(userId, session, myraResponse, text, state) {
+  // Extract conversation ID from NEW_CHAT_CREATED or NEW_MESSAGE
+  if (!session.conversationId && myraResponse.data?.conversationId) {
+    session.conversationId = myraResponse.data.conversationId;
+    logger.info('💾 [MYRA] Conversation ID saved to session', { 
+      userId,
+      conversationId: session.conversationId,
+      source: 'MYRA'
+    });
+  }
+
+  // Drop content already rendered by an earlier update
+  const content = myraResponse.data?.message?.content;
+  if (content?.length) {
+    const fresh = content.filter(item => !item.contentId || !state.renderedContentIds.has(item.contentId));
+    fresh.forEach(item => item.contentId && state.renderedContentIds.add(item.contentId));
+    myraResponse = {
+      ...myraResponse,
+      data: { ...myraResponse.data, message: { ...myraResponse.data.message, content: fresh } }
+    };
   }
 
   // Extract response content
@@ -309,11 +722,13 @@ async function handleTextMessage(userId, session, text, messageId = null) {
     hasLeadingQuestion: !!myraResponse?.data?.leadingQuestion,
     source: 'MYRA'
   });
-  
-  // Warn if we got NEW_CHAT_CREATED instead of NEW_MESSAGE (shouldn't happen now, but good to check)
-  if (myraResponse?.eventType === 'NEW_CHAT_CREATED' && !myraResponse?.data?.leadingQuestion) {
-    logger.warn('⚠️ [MYRA] Received NEW_CHAT_CREATED but no assistant reply yet. This might indicate NEW_MESSAGE is coming separately.', { userId });
+
+  if (!responseData.text && !responseData.hotelCards.length && !responseData.suggestions.length &&
+      !responseData.items?.length && !responseData.actions?.length) {
+    logger.debug('⏭️ [MYRA] Nothing new in update - skipping', { userId });
+    return session;
   }
+  state.rendered = true;
   
   // Apply guardrails
   logger.info('🛡️ [MYRA] Applying guardrails to response', { userId });
@@ -322,12 +737,12 @@ async function handleTextMessage(userId, session, text, messageId = null) {
   switch (guardrailResult.action) {
     case 'clarify':
       logger.info('💬 [MYRA] Guardrail: Clarification needed', { userId });
-      await whatsappClient.sendText(userId, guardrailResult.message);
+      await channels.current().sendText(userId, guardrailResult.message);
       break;
       
     case 'escalate':
       logger.info('📞 [MYRA] Guardrail: Escalation triggered', { userId });
-      await whatsappClient.sendText(userId, guardrailResult.message);
+      await channels.current().sendText(userId, guardrailResult.message);
       // Could add escalation tracking here
       break;
       
@@ -346,6 +761,19 @@ async function handleTextMessage(userId, session, text, messageId = null) {
       
     case 'normal':
     default:
+      // Keep this turn's suggestions so taps resolve to the full text (button titles are cut)
+      if (responseData.suggestions.length > 0) {
+        session = suggestions.storeSuggestions(session, responseData.suggestions);
+        responseData.suggestionTurn = session.suggestionTurn;
+        logger.info('💡 [MYRA] Stored suggestions in session', {
+          userId,
+          turn: session.suggestionTurn,
+          count: responseData.suggestions.length,
+          ctaCount: responseData.suggestions.filter(s => s.url).length,
+          source: 'MYRA'
+        });
+      }
+
       // Render response
       logger.info('🎨 [MYRA] Rendering response to WhatsApp', { userId });
       const renderResult = await renderResponse(userId, responseData);
@@ -357,7 +785,11 @@ async function handleTextMessage(userId, session, text, messageId = null) {
           id: product.id,
           title: product.title,
           bookingLink: product.bookingLink,
-          productType: product.productType
+          productType: product.productType,
+          subtitle: product.subtitle || null,
+          price: product.price || null,
+          location: product.location || null,
+          coordinates: product.coordinates || null
           // Only store minimal data needed for button clicks
         }));
         logger.info('💾 [MYRA] Stored product cards in session', { 
@@ -369,6 +801,16 @@ async function handleTextMessage(userId, session, text, messageId = null) {
         });
       }
       
+      // Remember which message showed which product, so quoted replies can be resolved
+      // (kept across searches - users often reply to an older card)
+      if (renderResult?.cardMessages?.length) {
+        const cardMessages = { ...session.cardMessages };
+        for (const { messageId: cardMessageId, productId } of renderResult.cardMessages) {
+          cardMessages[cardMessageId] = session.hotelCards.find(p => p.id === productId);
+        }
+        session.cardMessages = Object.fromEntries(Object.entries(cardMessages).slice(-MAX_CARD_MESSAGES));
+      }
+      
       // Check if carousel should be initialized
       if (renderResult?.initCarousel && renderResult.items) {
         session = carousel.initCarousel(session, renderResult.items);
@@ -383,9 +825,14 @@ async function handleTextMessage(userId, session, text, messageId = null) {
         logger.info('🔄 [GEMINI] Generating comparison for travel options', { userId });
         const comparison = await genai.generateComparison(text, responseData, session);
         if (comparison) {
-          // Small delay so comparison comes after product cards
-          await new Promise(resolve => setTimeout(resolve, 800));
-          await whatsappClient.sendText(userId, comparison);
+          // Outbound queue delivers this after the product cards
+          const sent = await channels.current().sendText(userId, comparison);
+          // Remembered so reactions on it count as comparison feedback
+          const comparisonMessageId = sent?.messages?.[0]?.id;
+          if (comparisonMessageId) {
+            session.comparisonMessages = [...(session.comparisonMessages || []), comparisonMessageId]
+              .slice(-MAX_CARD_MESSAGES);
+          }
           logger.info('✅ [GEMINI] Comparison sent to user', { 
             userId,
             comparisonLength: comparison.length,
@@ -407,7 +854,6 @@ async function handleTextMessage(userId, session, text, messageId = null) {
       break;
   }
 
-  session.updatedAt = Date.now();
   return session;
 }
 
@@ -424,13 +870,13 @@ async function handleInteraction(userId, session, interactionId, message) {
   
   if (!action) {
     // Treat as regular text message
-    return handleTextMessage(userId, session, message.buttonText || message.listTitle || interactionId);
+    return handleTextMessage(userId, session, message.buttonText || message.listTitle || interactionId, message.messageId);
   }
 
   switch (action.type) {
     case 'carousel':
       if (!carousel.hasActiveCarousel(session)) {
-        await whatsappClient.sendText(userId, "No items to navigate. Try searching for something!");
+        await channels.current().sendText(userId, "No items to navigate. Try searching for something!");
         return session;
       }
       
@@ -452,27 +898,27 @@ async function handleInteraction(userId, session, interactionId, message) {
       // Item selected from carousel
       const selectedItem = carousel.getItemById(session, action.itemId);
       if (selectedItem) {
-        session = carousel.clearCarousel(session);
-        session = booking.startBooking(session, selectedItem);
-        
-        // Prompt for confirmation
-        await whatsappClient.sendButtons(userId,
-          `You selected:\n\n*${selectedItem.title}*\n${selectedItem.subtitle || ''}\n💰 ${selectedItem.price || 'Price on request'}\n\nWould you like to proceed with booking?`,
-          [
-            { id: 'confirm_yes', title: '✅ Yes, Book' },
-            { id: 'confirm_no', title: '❌ No, Cancel' }
-          ]
-        );
+        session = await startItemBooking(userId, session, selectedItem);
       }
       break;
 
-    case 'suggestion':
-      // User clicked a suggestion - send it as a message
-      if (session.lastSuggestions && session.lastSuggestions[action.index]) {
-        const suggestionText = session.lastSuggestions[action.index];
-        return handleTextMessage(userId, session, suggestionText);
+    case 'suggestion': {
+      // User tapped a suggestion - send its full text to Myra, or the link for a CTA
+      const suggestion = suggestions.resolveSuggestion(session, action);
+      if (!suggestion) {
+        // Suggestion from an older turn - the tapped title is all we have
+        logger.info('💡 Suggestion no longer on the session - using the tapped title', { userId, ...action });
+        return handleTextMessage(userId, session, message.buttonText || message.listTitle || interactionId, message.messageId);
       }
-      break;
+      if (suggestion.url) {
+        await channels.current().sendCtaUrl(userId, suggestion.text, 'Open', suggestion.url);
+        break;
+      }
+      // Myra's own follow-up - no need to check it is travel-related
+      return handleTextMessage(userId, session, suggestion.text, message.messageId, {
+        skipTravelFilter: 'Myra suggestion'
+      });
+    }
 
     case 'action':
       // Handle custom action
@@ -485,25 +931,37 @@ async function handleInteraction(userId, session, interactionId, message) {
       if (session.hotelCards && Array.isArray(session.hotelCards)) {
         const product = session.hotelCards.find(p => p.id === action.hotelId);
         if (product && product.bookingLink) {
-          const productTypeLabel = product.productType === 'hotel' ? 'Hotel' :
-                                   product.productType === 'flight' ? 'Flight' :
-                                   product.productType === 'bus' ? 'Bus' :
-                                   'Product';
-          await whatsappClient.sendText(userId, 
-            `🔗 *${product.title}*\n\nBook now on MakeMyTrip:\n${product.bookingLink}`
-          );
+          await renderBookingLink(userId, product, `🔗 *${product.title}*`);
         } else {
-          await whatsappClient.sendText(userId, 
+          await channels.current().sendText(userId, 
             'Sorry, booking link not available for this item.'
           );
         }
       } else {
-        await whatsappClient.sendText(userId, 
+        await channels.current().sendText(userId, 
           'Sorry, product information is no longer available. Please search again.'
         );
       }
       break;
 
+    case 'map': {
+      // User clicked "📍 Map" - send the product's location pin
+      const product = (session.hotelCards || []).find(p => p.id === action.productId) ||
+                      carousel.getItemById(session, action.productId);
+      if (product?.coordinates) {
+        await channels.current().sendLocation(userId, {
+          ...product.coordinates,
+          name: product.title,
+          address: product.location || undefined
+        });
+      } else {
+        await channels.current().sendText(userId,
+          'Sorry, the location isn\'t available for this item.'
+        );
+      }
+      break;
+    }
+
     case 'bookNow':
       // User clicked "Book Now" button - send booking URL
       if (session.hotelCards && Array.isArray(session.hotelCards)) {
@@ -524,16 +982,16 @@ async function handleInteraction(userId, session, interactionId, message) {
                                    product.productType === 'bus' ? 'Bus' :
                                    product.productType === 'package' ? 'Package' :
                                    'Product';
-          await whatsappClient.sendText(userId, 
-            `🔗 *${product.title || productTypeLabel}*\n\n📅 Book now on MakeMyTrip:\n${product.bookingLink}\n\nClick the link above to proceed with your booking!`
+          await renderBookingLink(userId, product,
+            `🔗 *${product.title || productTypeLabel}*\n\n📅 Tap the button below to proceed with your booking!`
           );
         } else {
-          await whatsappClient.sendText(userId, 
+          await channels.current().sendText(userId, 
             'Sorry, booking link not available for this item.'
           );
         }
       } else {
-        await whatsappClient.sendText(userId, 
+        await channels.current().sendText(userId, 
           'Sorry, product information is no longer available. Please search again.'
         );
       }
@@ -544,6 +1002,89 @@ async function handleInteraction(userId, session, interactionId, message) {
   return session;
 }
 
+/**
+ * Handle a status webhook for one of our messages
+ * Records the lifecycle, adds it to the user's delivery log and resends failed media as text
+ * @param {Object} status - Normalized status (see normalizeStatus)
+ * @returns {Promise<void>}
+ */
+async function handleStatusUpdate(status) {
+  const record = await messageStatus.applyStatus(status);
+
+  logger.debug('Message status updated', {
+    messageId: record.messageId,
+    status: status.status,
+    latest: record.status,
+    type: record.type
+  });
+
+  // Attach to the user's conversation record - kept by the tracker, not on the session,
+  // so it can't race with the session save of a message being processed
+  if (record.to) {
+    await messageStatus.recordDelivery(channels.scopeKey(record.to), record, config.messageStatus.deliveryLogSize);
+  }
+
+  if (status.status !== 'failed') {
+    return;
+  }
+
+  logger.warn('❌ [WHATSAPP] Message delivery failed', {
+    messageId: record.messageId,
+    to: record.to,
+    type: record.type,
+    error: record.error
+  });
+
+  if (record.fallbackSent || NON_RECOVERABLE_STATUS_ERRORS.includes(record.error?.code)) {
+    return;
+  }
+
+  const fallback = buildFallbackPayload(record.payload);
+  if (!fallback) {
+    return;
+  }
+
+  await messageStatus.markFallbackSent(record.messageId);
+  // Status webhooks are WhatsApp-only, so the current channel is the WhatsApp one
+  await channels.current().sendRaw(fallback);
+  logger.info('✅ [WHATSAPP] Sent fallback for failed message', {
+    messageId: record.messageId,
+    to: record.to,
+    originalType: record.type,
+    fallbackType: fallback.type
+  });
+}
+
+/**
+ * Build a media-free version of a failed message
+ * @param {Object|null} payload - Payload as originally sent
+ * @returns {Object|null} Fallback payload, or null if there is nothing to fall back to
+ */
+function buildFallbackPayload(payload) {
+  if (!payload) {
+    return null;
+  }
+
+  // Image card → its caption as text (the caption carries the booking link)
+  if (payload.type === 'image') {
+    return {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: payload.to,
+      type: 'text',
+      text: { body: payload.image.caption || payload.image.link || '🖼️ This image could not be delivered.' }
+    };
+  }
+
+  // Interactive message with an image header → same message without the header
+  if (payload.type === 'interactive' && payload.interactive?.header?.type === 'image') {
+    const { header, ...interactive } = payload.interactive;
+    return { ...payload, interactive };
+  }
+
+  return null;
+}
+
 /**
  * Extract useful data from Myra response
  * @param {Object} myraResponse
@@ -593,7 +1134,8 @@ function extractResponseData(myraResponse) {
   return {
     conversationId: data.conversationId,
     text: text,
-    suggestions: data.suggestions || [],
+    // suggestions + suggestionsNew + ctas, as { text, url }
+    suggestions: suggestions.extractSuggestions(data),
     message: data.message,
     hotelCards: hotelCards, // Generic name but contains all product types
     // These would come from enhanced Myra responses
@@ -635,6 +1177,7 @@ function extractProductCards(payload) {
           location: cardData.sub_title || '',
           bookingLink: cardData.cta_link || null,
           description: cardData.description || null,
+          coordinates: locationContext.extractCoordinates(cardData),
           productType: 'hotel',
           lob: cardData.lob || 'HTL'
         };
@@ -676,6 +1219,7 @@ function extractProductCards(payload) {
           location: cardData.sub_title || '',
           bookingLink: cardData.cta_link || null,
           description: cardData.card_text || cardData.description || null,
+          coordinates: locationContext.extractCoordinates(cardData),
           productType: cardType.replace('-card', ''),
           lob: cardData.lob || 'COMMONS'
         };
@@ -685,5 +1229,9 @@ function extractProductCards(payload) {
 
 module.exports = {
   processMessage,
-  sessionManager
+  handleStatusUpdate,
+  sessionManager,
+  messageDeduplicator,
+  serviceWindow,
+  messageStatus
 };
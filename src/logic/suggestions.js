@@ -0,0 +1,92 @@
+/**
+ * Follow-up Suggestions
+ * Collects the suggestions and CTAs Myra sends with its follow-up question, keeps the
+ * latest turn's on the session and resolves suggestion button/list taps back to them
+ */
+
+// WhatsApp allows 10 list rows
+const MAX_SUGGESTIONS = 10;
+// Older suggestion messages stay tappable for this many turns
+const MAX_TURNS = 5;
+
+/**
+ * @typedef {Object} Suggestion
+ * @property {string} text - Exact text to send to Myra when tapped (or the CTA label)
+ * @property {string|null} url - Deep link, for CTAs
+ */
+
+/**
+ * Collect suggestions from a Myra reply - suggestionsNew, then plain suggestions, then CTAs
+ * (the same text is only kept once)
+ * @param {Object} data - Myra reply data ({ suggestions, suggestionsNew, ctas })
+ * @returns {Array<Suggestion>}
+ */
+function extractSuggestions(data) {
+  const candidates = [
+    ...(data.suggestionsNew || []).map(item => ({ text: item?.text, url: item?.link || item?.deeplink || null })),
+    ...(data.suggestions || []).map(text => ({ text, url: null })),
+    ...(data.ctas || []).map(cta => ({
+      text: cta?.text || cta?.title || cta?.label || cta?.cta_title,
+      url: cta?.link || cta?.url || cta?.deeplink || cta?.deepLink || cta?.cta_link || null
+    }))
+  ];
+
+  const byText = new Map();
+  for (const { text, url } of candidates) {
+    const trimmed = typeof text === 'string' ? text.trim() : '';
+    if (!trimmed) {
+      continue;
+    }
+    const existing = byText.get(trimmed);
+    if (!existing) {
+      byText.set(trimmed, { text: trimmed, url });
+    } else if (!existing.url && url) {
+      existing.url = url;
+    }
+  }
+
+  return [...byText.values()].slice(0, MAX_SUGGESTIONS);
+}
+
+/**
+ * Keep a turn's suggestions on the session, along with the last few turns' (users often tap
+ * a second suggestion from the same message after the first one was answered)
+ * @param {Object} session - User session
+ * @param {Array<Suggestion>} suggestions
+ * @returns {Object} Updated session (suggestionTurn identifies these suggestions in button IDs)
+ */
+function storeSuggestions(session, suggestions) {
+  const turn = (session.suggestionTurn || 0) + 1;
+  const suggestionTurns = { ...session.suggestionTurns, [turn]: suggestions };
+
+  return {
+    ...session,
+    lastSuggestions: suggestions,
+    suggestionTurn: turn,
+    suggestionTurns: Object.fromEntries(Object.entries(suggestionTurns).slice(-MAX_TURNS))
+  };
+}
+
+/**
+ * Suggestion behind a tapped suggestion button/list row
+ * @param {Object} session - User session
+ * @param {{index: number, turn: number|null}} action - Parsed button ID (see guardrails.checkButtonAction)
+ * @returns {Suggestion|null} Null when the turn is no longer kept or the index is unknown
+ */
+function resolveSuggestion(session, action) {
+  const turnSuggestions = action.turn === null
+    ? session.lastSuggestions
+    : session.suggestionTurns?.[action.turn];
+  const suggestion = turnSuggestions?.[action.index];
+  if (!suggestion) {
+    return null;
+  }
+  // Sessions saved before suggestions were objects
+  return typeof suggestion === 'string' ? { text: suggestion, url: null } : suggestion;
+}
+
+module.exports = {
+  extractSuggestions,
+  storeSuggestions,
+  resolveSuggestion
+};
@@ -0,0 +1,57 @@
+/**
+ * Typing Indicator
+ * Marks the user's message as read and shows "typing..." while Myra works
+ *
+ * WhatsApp hides the indicator after 25 seconds or when we reply, so it is refreshed
+ * until the caller stops it. If the indicator can't be shown, a text placeholder is sent
+ * instead so the user still knows a reply is coming.
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const channels = require('../channels');
+
+const PLACEHOLDER_TEXT = '⏳ Processing your request...';
+
+/**
+ * Show the typing indicator for an inbound message
+ * @param {string} userId - WhatsApp phone number
+ * @param {string|null} messageId - Inbound message ID (the indicator is tied to it)
+ * @returns {Promise<{stop: Function}>} Call stop() once the reply is ready
+ */
+async function startTyping(userId, messageId) {
+  const channel = channels.current();
+  const result = messageId
+    ? await channel.sendTypingIndicator(userId, messageId)
+    : { success: false, error: 'No inbound message ID' };
+
+  if (!result?.success) {
+    logger.debug('⚠️ Typing indicator unavailable, sending placeholder text', {
+      userId,
+      error: result?.error
+    });
+    try {
+      await channel.sendText(userId, PLACEHOLDER_TEXT);
+    } catch (error) {
+      // Non-critical, continue processing even if this fails
+      logger.debug('⚠️ Failed to send placeholder text (non-critical)', { userId, error: error.message });
+    }
+    return { stop: () => {} };
+  }
+
+  // Never outlive the Myra reply stream, even if the caller forgets to stop
+  const startedAt = Date.now();
+  const timer = setInterval(() => {
+    if (Date.now() - startedAt >= config.myra.streamMaxDurationMs) {
+      clearInterval(timer);
+      return;
+    }
+    channel.sendTypingIndicator(userId, messageId);
+  }, config.whatsapp.typingRefreshMs);
+
+  return { stop: () => clearInterval(timer) };
+}
+
+module.exports = {
+  startTyping
+};
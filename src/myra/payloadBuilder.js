@@ -8,9 +8,11 @@ const config = require('../config');
 
 /**
  * Generate common headers for Myra API
+ * @param {Object} [options]
+ * @param {string} [options.sttLanguage] - Language detected from a voice note
  * @returns {Object}
  */
-function buildHeaders() {
+function buildHeaders(options = {}) {
   return {
     'request-id': uuidv4(),
     'session-id': config.myra.sessionId || uuidv4(),
@@ -30,7 +32,7 @@ function buildHeaders() {
     'travelplexPage': 'chat:home_page|travelplex',
     'test': 'travelplex',
     'trafficSource': 'myra',
-    'selectedSttLanguage': 'en-IN',
+    'selectedSttLanguage': options.sttLanguage || config.stt.defaultLanguage,
     'supportedNodes': '{"multiLanguageSupported":true}'
   };
 }
@@ -39,9 +41,12 @@ function buildHeaders() {
  * Build NEW_CHAT payload
  * @param {string} message - User message text
  * @param {string} [userId] - Optional user identifier
+ * @param {Object} [options]
+ * @param {Object} [options.searchContext] - Search context (e.g. user location)
+ * @param {string} [options.sttLanguage] - Language detected from a voice note
  * @returns {Object}
  */
-function buildNewChatPayload(message, userId = null) {
+function buildNewChatPayload(message, userId = null, options = {}) {
   const timestamp = Date.now().toString();
   
   return {
@@ -66,7 +71,7 @@ function buildNewChatPayload(message, userId = null) {
           pageName: 'my_account_landing',
           prevPageName: null
         },
-        searchContext: {}
+        searchContext: options.searchContext || {}
       },
       botMetadata: {
         conversationId: null
@@ -82,7 +87,7 @@ function buildNewChatPayload(message, userId = null) {
       },
       messageSource: 'TEXT'
     },
-    headers: buildHeaders()
+    headers: buildHeaders(options)
   };
 }
 
@@ -90,12 +95,16 @@ function buildNewChatPayload(message, userId = null) {
  * Build POST_MESSAGE payload
  * @param {string} conversationId - Existing conversation ID
  * @param {string} message - User message text
+ * @param {Object} [options]
+ * @param {Object} [options.searchContext] - Search context (e.g. user location)
+ * @param {string} [options.sttLanguage] - Language detected from a voice note
  * @returns {Object}
  */
-function buildPostMessagePayload(conversationId, message) {
+function buildPostMessagePayload(conversationId, message, options = {}) {
+  const { searchContext } = options;
   const timestamp = Date.now().toString();
   
-  return {
+  const payload = {
     eventType: 'POST_MESSAGE',
     uiMetadata: {
       tempId: timestamp,
@@ -124,8 +133,15 @@ function buildPostMessagePayload(conversationId, message) {
       },
       messageSource: 'TEXT'
     },
-    headers: buildHeaders()
+    headers: buildHeaders(options)
   };
+
+  // Only attach context metadata when there is something to send
+  if (searchContext && Object.keys(searchContext).length > 0) {
+    payload.data.contextMetadata = { searchContext };
+  }
+
+  return payload;
 }
 
 /**
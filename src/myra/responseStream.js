@@ -0,0 +1,170 @@
+/**
+ * Myra Response Stream
+ * Async iterator over the NEW_MESSAGE updates Myra sends for one request
+ *
+ * Myra answers in several messages with the same tempId: the main reply (TEXT/CARD) and
+ * then a follow-up with leadingQuestion and suggestions, the last one marked isCompleted.
+ * Usage: for await (const update of stream) { ... }
+ */
+
+class MyraResponseStream {
+  /**
+   * @param {string} tempId - Request ID the updates belong to
+   * @param {Object} options
+   * @param {number} options.firstTimeoutMs - Fail if nothing arrives within this time
+   * @param {number} options.idleTimeoutMs - End (without error) if Myra goes quiet after replying
+   * @param {number} [options.maxDurationMs] - End (without error) this long after the request, even if updates keep coming
+   * @param {Function} [options.onClose] - Called once when the stream ends or fails
+   */
+  constructor(tempId, options) {
+    this.tempId = tempId;
+    this.firstTimeoutMs = options.firstTimeoutMs;
+    this.idleTimeoutMs = options.idleTimeoutMs;
+    this.onClose = options.onClose;
+    // NEW_CHAT_CREATED for this request - carries the conversation ID
+    this.chatCreated = null;
+    this.updateCount = 0;
+    this.done = false;
+    // Ended by the idle timeout or the deadline instead of isCompleted
+    this.timedOut = false;
+    this.error = null;
+    // Updates not consumed yet, and the consumer waiting for the next one
+    this.queue = [];
+    this.waiting = null;
+    this.timer = null;
+    this.deadline = null;
+
+    this._armTimer();
+    if (options.maxDurationMs) {
+      this.deadline = setTimeout(() => {
+        // Nothing received yet - the first-reply timeout reports it
+        if (this.updateCount === 0) {
+          return;
+        }
+        this.timedOut = true;
+        this.end();
+      }, options.maxDurationMs);
+    }
+  }
+
+  /**
+   * (Re)start the timeout - the first reply fails the stream, later silence just ends it
+   */
+  _armTimer() {
+    clearTimeout(this.timer);
+
+    if (this.updateCount === 0) {
+      this.timer = setTimeout(() => {
+        const seconds = this.firstTimeoutMs / 1000;
+        this.fail(new Error(`Request timeout - Myra did not respond within ${seconds} seconds`));
+      }, this.firstTimeoutMs);
+    } else {
+      this.timer = setTimeout(() => {
+        this.timedOut = true;
+        this.end();
+      }, this.idleTimeoutMs);
+    }
+  }
+
+  /**
+   * Add an update from Myra
+   * @param {Object} message - NEW_MESSAGE event
+   */
+  push(message) {
+    if (this.done) {
+      return;
+    }
+
+    this.updateCount++;
+    this._armTimer();
+
+    if (this.waiting) {
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve({ value: message, done: false });
+    } else {
+      this.queue.push(message);
+    }
+  }
+
+  /**
+   * Finish the stream - updates already queued are still delivered
+   */
+  end() {
+    if (this.done) {
+      return;
+    }
+    this._close();
+
+    if (this.waiting) {
+      const { resolve } = this.waiting;
+      this.waiting = null;
+      resolve({ value: undefined, done: true });
+    }
+  }
+
+  /**
+   * Fail the stream - the consumer gets the error after any queued updates
+   * @param {Error} error
+   */
+  fail(error) {
+    if (this.done) {
+      return;
+    }
+    this.error = error;
+    this._close();
+
+    if (this.waiting) {
+      const { reject } = this.waiting;
+      this.waiting = null;
+      this.error = null;
+      reject(error);
+    }
+  }
+
+  _close() {
+    this.done = true;
+    clearTimeout(this.timer);
+    clearTimeout(this.deadline);
+    if (this.onClose) {
+      this.onClose();
+    }
+  }
+
+  /**
+   * Next update (async iterator protocol)
+   * @returns {Promise<{value: Object, done: boolean}>}
+   */
+  next() {
+    if (this.queue.length > 0) {
+      return Promise.resolve({ value: this.queue.shift(), done: false });
+    }
+    if (this.error) {
+      const error = this.error;
+      this.error = null;
+      return Promise.reject(error);
+    }
+    if (this.done) {
+      return Promise.resolve({ value: undefined, done: true });
+    }
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+    });
+  }
+
+  /**
+   * Stop listening early (called by for await on break/throw)
+   * @returns {Promise<{value: undefined, done: true}>}
+   */
+  return() {
+    this.queue = [];
+    this.end();
+    return Promise.resolve({ value: undefined, done: true });
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
+
+module.exports = MyraResponseStream;
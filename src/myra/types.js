@@ -33,6 +33,8 @@
  * @property {string} conversationId
  * @property {string} [leadingQuestion] - The AI response text
  * @property {Array<string>} [suggestions] - Suggested follow-ups
+ * @property {Array<{text: string}>} [suggestionsNew] - Suggested follow-ups as objects
+ * @property {Array<Object>} [ctas] - Follow-up calls to action (text + deep link)
  * @property {boolean} showOverlay
  * @property {MyraMessage} message
  */
@@ -67,6 +69,17 @@
  * @property {string} [currentIntent]
  * @property {CarouselState} [carousel] - Active carousel state
  * @property {Object} [booking] - Booking flow state
+ * @property {Object} [lastLocation] - Last location shared by the user
+ * @property {string} [pendingNearbyQuery] - "Near me" query waiting for the user to share a location
+ * @property {Object<string, Object>} [cardMessages] - Product shown by each outbound card message (quoted replies)
+ * @property {Array<string>} [comparisonMessages] - Outbound comparison message IDs (reaction feedback)
+ * @property {Array<Object>} [feedback] - Reactions on our messages (see logic/feedback.js)
+ * @property {Array<Object>} [shortlist] - Products the user reacted positively to
+ * @property {Array<{text: string, url: string|null}>} [lastSuggestions] - Latest turn's suggestions/CTAs (see logic/suggestions.js)
+ * @property {number} [suggestionTurn] - Increments per stored suggestion set; part of suggestion button IDs
+ * @property {Object<string, Array<Object>>} [suggestionTurns] - Suggestions of the last few turns, by suggestionTurn
+ * @property {Object} [lastMedia] - Last image/document sent by the user (media ID, type, caption, filename);
+ *   pending until the next text message, which tells Myra it is about that file
  * @property {number} createdAt
  * @property {number} updatedAt
  */
@@ -7,6 +7,7 @@ const WebSocket = require('ws');
 const EventEmitter = require('events');
 const config = require('../config');
 const logger = require('../utils/logger');
+const MyraResponseStream = require('./responseStream');
 const { 
   buildNewChatPayload, 
   buildPostMessagePayload,
@@ -23,6 +24,8 @@ class MyraWSClient extends EventEmitter {
     this.reconnectDelay = 3000;
     this.heartbeatInterval = null;
     this.pendingRequests = new Map();
+    // Streaming requests by tempId - they get every update, not just the first
+    this.streams = new Map();
   }
 
   /**
@@ -56,6 +59,7 @@ class MyraWSClient extends EventEmitter {
       this.ws.on('close', (code, reason) => {
         logger.warn('Myra WebSocket closed', { code, reason: reason.toString() });
         this.isConnected = false;
+        this.failStreams(new Error('Myra WebSocket closed before the reply was complete'));
         this.stopHeartbeat();
         this.handleReconnect();
       });
@@ -110,6 +114,10 @@ class MyraWSClient extends EventEmitter {
       switch (message.eventType) {
         case 'NEW_CHAT_CREATED':
           this.emit('chatCreated', message);
+          if (tempId && this.streams.has(tempId)) {
+            this.streams.get(tempId).chatCreated = message;
+            break;
+          }
           // Don't resolve on NEW_CHAT_CREATED - wait for NEW_MESSAGE which has the actual response
           // But if NEW_MESSAGE already came (shouldn't happen), resolve now
           if (tempId && this.pendingRequests.has(tempId)) {
@@ -124,6 +132,10 @@ class MyraWSClient extends EventEmitter {
 
         case 'NEW_MESSAGE':
           this.emit('newMessage', message);
+          if (tempId && this.streams.has(tempId)) {
+            this.pushStreamUpdate(this.streams.get(tempId), message);
+            break;
+          }
           // NEW_MESSAGE contains the actual assistant reply - resolve with this
           // Merge with NEW_CHAT_CREATED if we stored it
           if (tempId && this.pendingRequests.has(tempId)) {
@@ -201,7 +213,15 @@ class MyraWSClient extends EventEmitter {
             willTryToResolve: !!tempId && this.pendingRequests.has(tempId)
           });
           // Try to resolve anyway if we have a tempId match (for other event types that might be valid responses)
-          if (tempId && this.pendingRequests.has(tempId)) {
+          if (tempId && this.streams.has(tempId)) {
+            logger.info('⚠️ Ending Myra stream with unhandled event type', {
+              eventType: message.eventType,
+              tempId
+            });
+            const stream = this.streams.get(tempId);
+            stream.push(message);
+            stream.end();
+          } else if (tempId && this.pendingRequests.has(tempId)) {
             logger.info('⚠️ Resolving unhandled event type with matching tempId', { 
               eventType: message.eventType,
               tempId 
@@ -399,13 +419,101 @@ class MyraWSClient extends EventEmitter {
     }
   }
 
+  /**
+   * Feed a NEW_MESSAGE into its stream - loader-only updates are skipped,
+   * isCompleted ends the stream
+   * @param {MyraResponseStream} stream
+   * @param {Object} message - NEW_MESSAGE event
+   */
+  pushStreamUpdate(stream, message) {
+    // Only NEW_CHAT_CREATED carries the conversation ID on some replies
+    if (!message.data?.conversationId && stream.chatCreated?.data?.conversationId) {
+      message.data = message.data || {};
+      message.data.conversationId = stream.chatCreated.data.conversationId;
+    }
+
+    const content = message.data?.message?.content || [];
+    const isCompleted = message.data?.message?.isCompleted === true;
+    const isLoaderOnly = content.length > 0 && content.every(item => item.type === 'LOADER_TEXT');
+    const hasFollowUp = !!message.data?.leadingQuestion ||
+      ['suggestions', 'suggestionsNew', 'ctas'].some(key => (message.data?.[key] || []).length > 0);
+
+    logger.debug('📨 Myra stream update', {
+      tempId: stream.tempId,
+      update: stream.updateCount + 1,
+      contentTypes: content.map(item => item.type),
+      hasFollowUp,
+      isCompleted
+    });
+
+    if (!isLoaderOnly && (content.length > 0 || hasFollowUp)) {
+      stream.push(message);
+    }
+
+    if (isCompleted) {
+      stream.end();
+    }
+  }
+
+  /**
+   * Send a request and stream every reply update until Myra marks it completed
+   * @param {Object} payload - Request with uiMetadata.tempId
+   * @returns {MyraResponseStream}
+   */
+  stream(payload) {
+    const tempId = String(payload.uiMetadata?.tempId);
+    const stream = new MyraResponseStream(tempId, {
+      firstTimeoutMs: config.myra.requestTimeoutMs,
+      idleTimeoutMs: config.myra.streamIdleTimeoutMs,
+      maxDurationMs: config.myra.streamMaxDurationMs,
+      onClose: () => this.streams.delete(tempId)
+    });
+
+    if (!this.isConnected || this.ws?.readyState !== WebSocket.OPEN) {
+      logger.error('❌ Cannot stream: WebSocket not connected', {
+        isConnected: this.isConnected,
+        readyState: this.ws?.readyState
+      });
+      stream.fail(new Error('WebSocket not connected'));
+      return stream;
+    }
+
+    this.streams.set(tempId, stream);
+
+    logger.info('📤 Sending message to Myra (streaming reply)', {
+      eventType: payload.eventType,
+      tempId,
+      messageText: payload.data?.message?.content?.[0]?.value || 'N/A'
+    });
+
+    this.ws.send(JSON.stringify(payload), (error) => {
+      if (error) {
+        logger.error('❌ Error sending to Myra', { error: error.message, stack: error.stack });
+        stream.fail(error);
+      }
+    });
+
+    return stream;
+  }
+
+  /**
+   * Fail every open stream (connection lost)
+   * @param {Error} error
+   */
+  failStreams(error) {
+    for (const stream of this.streams.values()) {
+      stream.fail(error);
+    }
+  }
+
   /**
    * Create new chat and send first message
    * @param {string} message - User message
+   * @param {Object} [options] - { searchContext, sttLanguage }
    * @returns {Promise<Object>}
    */
-  async newChat(message) {
-    const payload = buildNewChatPayload(message);
+  async newChat(message, options = {}) {
+    const payload = buildNewChatPayload(message, null, options);
     return this.send(payload);
   }
 
@@ -413,13 +521,35 @@ class MyraWSClient extends EventEmitter {
    * Send message to existing conversation
    * @param {string} conversationId
    * @param {string} message
+   * @param {Object} [options] - { searchContext, sttLanguage }
    * @returns {Promise<Object>}
    */
-  async postMessage(conversationId, message) {
-    const payload = buildPostMessagePayload(conversationId, message);
+  async postMessage(conversationId, message, options = {}) {
+    const payload = buildPostMessagePayload(conversationId, message, options);
     return this.send(payload);
   }
 
+  /**
+   * Create new chat and stream the reply
+   * @param {string} message - User message
+   * @param {Object} [options] - { searchContext, sttLanguage }
+   * @returns {MyraResponseStream}
+   */
+  newChatStream(message, options = {}) {
+    return this.stream(buildNewChatPayload(message, null, options));
+  }
+
+  /**
+   * Send message to existing conversation and stream the reply
+   * @param {string} conversationId
+   * @param {string} message
+   * @param {Object} [options] - { searchContext, sttLanguage }
+   * @returns {MyraResponseStream}
+   */
+  postMessageStream(conversationId, message, options = {}) {
+    return this.stream(buildPostMessagePayload(conversationId, message, options));
+  }
+
   /**
    * Start heartbeat interval
    */
@@ -476,6 +606,7 @@ class MyraWSClient extends EventEmitter {
     }
     this.isConnected = false;
     this.pendingRequests.clear();
+    this.failStreams(new Error('Myra WebSocket disconnected'));
   }
 }
 
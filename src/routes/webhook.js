@@ -5,17 +5,27 @@
 
 const express = require('express');
 const router = express.Router();
-const { handleVerification, handleIncoming } = require('../whatsapp/webhookHandler');
+const { handleVerification, verifySignature, handleIncoming, handleStatuses } = require('../whatsapp/webhookHandler');
 const { normalizeMessage } = require('../whatsapp/normalizer');
 const orchestrator = require('../logic/orchestrator');
+const tenants = require('../whatsapp/tenants');
+const channels = require('../channels');
 const logger = require('../utils/logger');
 const config = require('../config');
 
 // WhatsApp webhook verification
 router.get('/webhook', handleVerification);
 
-// WhatsApp webhook incoming messages
-router.post('/webhook', handleIncoming);
+// WhatsApp webhook incoming messages (signature checked before any processing)
+router.post('/webhook', verifySignature, handleIncoming);
+
+// Test endpoints are unauthenticated - hidden unless enabled (see config.enableTestRoutes)
+router.use('/test', (req, res, next) => {
+  if (!config.enableTestRoutes) {
+    return res.sendStatus(404);
+  }
+  next();
+});
 
 /**
  * Test endpoint - Simulate WhatsApp message (bypasses verification)
@@ -28,24 +38,57 @@ router.post('/test/message', async (req, res) => {
       body: req.body,
       timestamp: new Date().toISOString()
     });
-    const { from, text, buttonId, listId } = req.body;
+    const { from, text, buttonId, listId, location, audio, image, document, reaction, messageId, replyTo,
+      phoneNumberId } = req.body;
     
     if (!from) {
       logger.warn('Test endpoint: Missing "from" field');
       return res.status(400).json({ error: 'Missing "from" field (phone number)' });
     }
     
+    // Business number the message was sent to (defaults to the first tenant)
+    const tenant = tenants.resolveTenant(phoneNumberId);
+    if (!tenant) {
+      return res.status(400).json({ error: `No tenant configured for phone number ID "${phoneNumberId}"` });
+    }
+    
     // Build normalized message directly
     const normalizedMessage = {
       userId: from,
-      messageId: `test_${Date.now()}`,
+      // Pass the same messageId twice to exercise deduplication
+      messageId: messageId || `test_${Date.now()}`,
       timestamp: Date.now(),
-      type: buttonId ? 'button' : (listId ? 'list' : 'text'),
+      // Outbound message ID of a card, as printed in the "TEST MODE" log line
+      replyTo: replyTo || null,
+      phoneNumberId: tenant.phoneNumberId || null,
+      type: buttonId ? 'button' : (listId ? 'list' : (location ? 'location' : (audio ? 'audio' :
+        (image ? 'image' : (document ? 'document' : (reaction ? 'reaction' : 'text')))))),
       text,
       buttonId,
       buttonText: buttonId,
       listId,
-      listTitle: listId
+      listTitle: listId,
+      location: location ? {
+        latitude: parseFloat(location.latitude),
+        longitude: parseFloat(location.longitude),
+        name: location.name || null,
+        address: location.address || null
+      } : undefined,
+      media: audio ? {
+        id: audio.id || `test_media_${Date.now()}`,
+        mimeType: audio.mimeType || 'audio/ogg; codecs=opus',
+        voice: true
+      } : (image || document) ? {
+        id: (image || document).id || `test_media_${Date.now()}`,
+        mimeType: (image || document).mimeType || (image ? 'image/jpeg' : 'application/pdf'),
+        caption: (image || document).caption || null,
+        filename: document ? (document.filename || 'document.pdf') : null
+      } : undefined,
+      // Reaction on an outbound message ID from the "TEST MODE" log line (empty emoji removes it)
+      reaction: reaction ? {
+        messageId: reaction.messageId,
+        emoji: reaction.emoji || null
+      } : undefined
     };
     
     logger.info('✅ Test message received and normalized', normalizedMessage);
@@ -56,14 +99,14 @@ router.post('/test/message', async (req, res) => {
     // Set a timeout for the entire processing (configurable, default 70 seconds)
     const processingTimeoutMs = config.processing.timeoutMs;
     const processingTimeoutSeconds = processingTimeoutMs / 1000;
-    const processingPromise = orchestrator.processMessage(normalizedMessage);
+    const processingPromise = tenants.runWithTenant(tenant, () => orchestrator.processMessage(normalizedMessage));
     const timeoutPromise = new Promise((_, reject) => {
       setTimeout(() => {
         reject(new Error(`Message processing timeout after ${processingTimeoutSeconds} seconds`));
       }, processingTimeoutMs);
     });
     
-    await Promise.race([processingPromise, timeoutPromise]);
+    const result = await Promise.race([processingPromise, timeoutPromise]);
     
     const processingTime = Date.now() - startTime;
     logger.info('✅ Message processing completed', { 
@@ -73,7 +116,8 @@ router.post('/test/message', async (req, res) => {
     
     res.json({ 
       success: true, 
-      message: 'Message processed',
+      message: result?.duplicate ? 'Duplicate message ignored' : 'Message processed',
+      duplicate: !!result?.duplicate,
       processingTimeMs: processingTime,
       note: 'Check logs for outgoing messages (real WhatsApp API not called in test mode)'
     });
@@ -95,12 +139,49 @@ router.post('/test/message', async (req, res) => {
 });
 
 /**
- * Get session info for a user (debug)
+ * Test endpoint - Simulate a status webhook (sent/delivered/read/failed) for an outbound message
+ */
+router.post('/test/status', async (req, res) => {
+  try {
+    const { messageId, status = 'delivered', to, errorCode, phoneNumberId } = req.body;
+
+    if (!messageId) {
+      return res.status(400).json({ error: 'Missing "messageId" field (outbound message ID)' });
+    }
+
+    await handleStatuses([{
+      id: messageId,
+      status,
+      recipient_id: to,
+      phone_number_id: phoneNumberId,
+      timestamp: String(Math.floor(Date.now() / 1000)),
+      errors: status === 'failed'
+        ? [{ code: errorCode || 131053, title: 'Simulated delivery failure' }]
+        : undefined
+    }]);
+
+    const record = await orchestrator.messageStatus.get(messageId);
+    res.json({ success: true, record });
+  } catch (error) {
+    logger.error('❌ Test status endpoint error', { error: error.message });
+    res.status(500).json({ error: error.message });
+  }
+});
+
+/**
+ * Get session info for a user (debug) - ?phoneNumberId= selects the tenant
  */
 router.get('/test/session/:userId', async (req, res) => {
   try {
-    const session = await orchestrator.sessionManager.get(req.params.userId);
-    res.json({ session: session || null });
+    const tenant = tenants.resolveTenant(req.query.phoneNumberId);
+    if (!tenant) {
+      return res.status(400).json({ error: `No tenant configured for phone number ID "${req.query.phoneNumberId}"` });
+    }
+    const { session, deliveryLog } = await tenants.runWithTenant(tenant, async () => ({
+      session: await orchestrator.sessionManager.get(req.params.userId),
+      deliveryLog: await orchestrator.messageStatus.getDeliveryLog(channels.scopeKey(req.params.userId))
+    }));
+    res.json({ session: session || null, deliveryLog });
   } catch (error) {
     res.status(500).json({ error: error.message });
   }
@@ -0,0 +1,181 @@
+/**
+ * File Session Store
+ * Durable single-node store - MemoryStore backed by an append-only JSON lines journal
+ *
+ * Every write is queued on a buffered write stream (no blocking disk I/O on the request
+ * path); on startup the journal is replayed to rebuild the in-memory map. The periodic
+ * cleanup() sweep, and startup, compact the journal so it only holds live entries.
+ * Writes still buffered when the process crashes are lost - call destroy() on shutdown.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const MemoryStore = require('./MemoryStore');
+
+// Compact once the journal holds this many more lines than live entries
+const COMPACT_THRESHOLD = 500;
+
+class FileStore extends MemoryStore {
+  /**
+   * @param {number} [ttlMinutes]
+   * @param {string} [filePath] - Journal file path
+   */
+  constructor(ttlMinutes = config.session.ttlMinutes, filePath = path.join(config.session.fileDir, 'session.jsonl')) {
+    super(ttlMinutes);
+    this.filePath = filePath;
+    this.journalLines = 0;
+
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    this._load();
+    this.stream = this._openStream();
+  }
+
+  /**
+   * Open the journal for buffered appends
+   * The file is opened synchronously so the stream stays bound to this file even if
+   * compact() replaces it before the first write is flushed
+   * @returns {fs.WriteStream}
+   */
+  _openStream() {
+    const stream = fs.createWriteStream(null, { fd: fs.openSync(this.filePath, 'a') });
+    stream.on('error', (error) => {
+      logger.error('FileStore journal write failed', { error: error.message, filePath: this.filePath });
+    });
+    return stream;
+  }
+
+  /**
+   * Rebuild the in-memory map by replaying the journal
+   */
+  _load() {
+    if (!fs.existsSync(this.filePath)) {
+      return;
+    }
+
+    const now = Date.now();
+    let skipped = 0;
+    const lines = fs.readFileSync(this.filePath, 'utf8').split('\n').filter(Boolean);
+
+    for (const line of lines) {
+      try {
+        const record = JSON.parse(line);
+        if (record.op === 'set') {
+          this.store.set(record.key, { data: record.data, expiresAt: record.expiresAt });
+        } else if (record.op === 'delete') {
+          this.store.delete(record.key);
+        }
+      } catch (error) {
+        // A crash mid-write can leave a truncated last line
+        skipped++;
+      }
+    }
+
+    for (const [key, entry] of this.store) {
+      if (now > entry.expiresAt) {
+        this.store.delete(key);
+      }
+    }
+
+    this.journalLines = lines.length;
+    logger.info(`FileStore loaded ${this.store.size} sessions from ${this.filePath}`, { skipped });
+
+    // Rewrite right away so new appends don't land on a truncated line, and drop the
+    // expired and overwritten entries a long run left behind
+    if (skipped > 0 || this.journalLines - this.store.size >= COMPACT_THRESHOLD) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Queue a record for the journal
+   * @param {Object} record
+   */
+  _append(record) {
+    this.stream.write(JSON.stringify(record) + '\n');
+    this.journalLines++;
+  }
+
+  /**
+   * Set session data with TTL
+   * @param {string} key
+   * @param {Object} data
+   */
+  set(key, data) {
+    super.set(key, data);
+    const { expiresAt } = this.store.get(key);
+    this._append({ op: 'set', key, data, expiresAt });
+  }
+
+  /**
+   * Delete session
+   * @param {string} key
+   */
+  delete(key) {
+    const existed = this.store.has(key);
+    super.delete(key);
+    if (existed) {
+      this._append({ op: 'delete', key });
+    }
+  }
+
+  /**
+   * Remove expired entries and compact the journal when it has grown
+   */
+  cleanup() {
+    super.cleanup();
+
+    if (this.journalLines - this.store.size >= COMPACT_THRESHOLD) {
+      this.compact();
+    }
+  }
+
+  /**
+   * Rewrite the journal with only live entries (write to temp file, then rename)
+   * Appends still buffered for the old file are dropped with it - the snapshot has them
+   */
+  compact() {
+    const tempPath = `${this.filePath}.tmp`;
+    const lines = [];
+
+    for (const [key, entry] of this.store) {
+      lines.push(JSON.stringify({ op: 'set', key, data: entry.data, expiresAt: entry.expiresAt }));
+    }
+
+    try {
+      fs.writeFileSync(tempPath, lines.length > 0 ? lines.join('\n') + '\n' : '');
+      fs.renameSync(tempPath, this.filePath);
+      logger.debug('FileStore journal compacted', { from: this.journalLines, to: lines.length });
+      this.journalLines = lines.length;
+
+      // The open stream still points at the replaced file
+      if (this.stream) {
+        this.stream.end();
+        this.stream = this._openStream();
+      }
+    } catch (error) {
+      logger.error('FileStore compaction failed', { error: error.message, filePath: this.filePath });
+    }
+  }
+
+  /**
+   * Clear all sessions
+   */
+  clear() {
+    super.clear();
+    // Rewrites an empty journal - buffered appends can't bring entries back
+    this.compact();
+  }
+
+  /**
+   * Stop cleanup and flush the journal
+   * @returns {Promise<void>}
+   */
+  destroy() {
+    super.destroy();
+    return new Promise(resolve => this.stream.end(resolve));
+  }
+}
+
+module.exports = FileStore;
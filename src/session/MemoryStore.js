@@ -50,6 +50,38 @@ class MemoryStore {
     });
   }
 
+  /**
+   * Set data only if the key does not exist yet (check and insert in one synchronous step)
+   * @param {string} key
+   * @param {Object} data
+   * @returns {boolean} true if the data was set, false if the key already existed
+   */
+  setIfAbsent(key, data) {
+    if (this.has(key)) {
+      return false;
+    }
+    this.set(key, data);
+    return true;
+  }
+
+  /**
+   * Merge top-level fields into session data and reset TTL
+   * Fields set to undefined are removed
+   * @param {string} key
+   * @param {Object} updates
+   * @returns {Object} Updated session data
+   */
+  update(key, updates) {
+    const data = { ...(this.get(key) || {}), ...updates };
+    for (const field of Object.keys(updates)) {
+      if (updates[field] === undefined) {
+        delete data[field];
+      }
+    }
+    this.set(key, data);
+    return data;
+  }
+
   /**
    * Delete session
    * @param {string} key
@@ -0,0 +1,50 @@
+/**
+ * Message Deduplicator
+ * Remembers processed WhatsApp message IDs so webhook retries are ignored
+ */
+
+const logger = require('../utils/logger');
+
+const KEY_PREFIX = 'dedup:';
+
+class MessageDeduplicator {
+  /**
+   * @param {Object} store - Session store (setIfAbsent/delete), its TTL bounds the dedup window
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Record a message ID and report whether it was already seen
+   * The ID is marked on first sight with an atomic set-if-absent, so concurrent retries are also caught
+   * @param {string} messageId - WhatsApp message ID
+   * @returns {Promise<boolean>} true if the message was already processed
+   */
+  async isDuplicate(messageId) {
+    if (!messageId) {
+      return false;
+    }
+
+    const key = `${KEY_PREFIX}${messageId}`;
+
+    const added = await this.store.setIfAbsent(key, { seenAt: Date.now() });
+    if (!added) {
+      logger.info('Duplicate message ignored', { messageId });
+      return true;
+    }
+
+    return false;
+  }
+
+  /**
+   * Forget a message ID (allows it to be processed again)
+   * @param {string} messageId
+   * @returns {Promise<void>}
+   */
+  async forget(messageId) {
+    return this.store.delete(`${KEY_PREFIX}${messageId}`);
+  }
+}
+
+module.exports = MessageDeduplicator;
@@ -0,0 +1,153 @@
+/**
+ * Message Status Tracker
+ * Lifecycle of every outbound message (accepted → sent → delivered → read, or failed),
+ * keyed by the WhatsApp message ID, plus a delivery log per user
+ *
+ * The delivery log lives here rather than on the session: status webhooks arrive outside
+ * the per-user message queue, and the session is saved whole when a message finishes.
+ */
+
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+
+// Status webhooks can arrive out of order - never move a message backwards
+const STATUS_RANK = {
+  accepted: 0,
+  sent: 1,
+  delivered: 2,
+  read: 3,
+  failed: 4
+};
+
+/**
+ * @typedef {Object} MessageStatusRecord
+ * @property {string} messageId - WhatsApp message ID (wamid)
+ * @property {string} to - Recipient phone number
+ * @property {string|null} type - Message type (text, image, interactive, ...)
+ * @property {Object|null} payload - Payload as sent (used to build fallbacks)
+ * @property {string} status - Latest lifecycle status
+ * @property {Array<{status: string, timestamp: number}>} history - Every status received
+ * @property {Object|null} error - First error of a failed message ({ code, title, message })
+ * @property {boolean} [fallbackSent] - Whether a fallback was already sent for this failure
+ */
+
+/**
+ * @typedef {Object} DeliveryLogEntry
+ * @property {string} messageId
+ * @property {string|null} type
+ * @property {string} status - Latest lifecycle status
+ * @property {Object|null} error
+ * @property {number} updatedAt
+ */
+
+class MessageStatusTracker {
+  /**
+   * @param {Object} store - Session store
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Record a message the Graph API accepted
+   * @param {string} messageId
+   * @param {Object} payload - Normalized payload that was sent
+   * @returns {Promise<void>}
+   */
+  async recordOutbound(messageId, payload) {
+    // A fast status webhook may already have created the record
+    const existing = await this.store.get(messageId);
+
+    await this.store.set(messageId, {
+      messageId,
+      status: 'accepted',
+      history: [{ status: 'accepted', timestamp: Date.now() }],
+      error: null,
+      ...existing,
+      to: normalizePhoneNumber(payload.to),
+      type: payload.type,
+      payload
+    });
+  }
+
+  /**
+   * Apply a normalized status webhook
+   * @param {Object} update - Output of normalizeStatus()
+   * @returns {Promise<MessageStatusRecord>} Updated record
+   */
+  async applyStatus(update) {
+    // Unknown ID: sent before a restart (memory store) or by another instance
+    const record = await this.store.get(update.messageId) || {
+      messageId: update.messageId,
+      to: normalizePhoneNumber(update.recipientId),
+      type: null,
+      payload: null,
+      status: 'accepted',
+      history: [],
+      error: null
+    };
+
+    record.history = [...record.history, { status: update.status, timestamp: update.timestamp }];
+
+    if ((STATUS_RANK[update.status] ?? -1) > (STATUS_RANK[record.status] ?? -1)) {
+      record.status = update.status;
+    }
+
+    if (update.status === 'failed' && !record.error) {
+      record.error = update.errors[0] || { code: null, title: 'Unknown error', message: null };
+    }
+
+    await this.store.set(update.messageId, record);
+    return record;
+  }
+
+  /**
+   * Mark a failed message as handled so repeated webhooks don't resend the fallback
+   * @param {string} messageId
+   * @returns {Promise<void>}
+   */
+  async markFallbackSent(messageId) {
+    const record = await this.store.get(messageId);
+    if (record) {
+      await this.store.set(messageId, { ...record, fallbackSent: true });
+    }
+  }
+
+  /**
+   * Get the lifecycle of a message
+   * @param {string} messageId
+   * @returns {Promise<MessageStatusRecord|null>}
+   */
+  async get(messageId) {
+    return this.store.get(messageId);
+  }
+
+  /**
+   * Add (or refresh) a message in the user's delivery log
+   * @param {string} userKey - Scoped user key (channels.scopeKey)
+   * @param {MessageStatusRecord} record - Updated record
+   * @param {number} limit - Entries kept (oldest dropped first)
+   * @returns {Promise<void>}
+   */
+  async recordDelivery(userKey, record, limit) {
+    const log = (await this.getDeliveryLog(userKey)).filter(entry => entry.messageId !== record.messageId);
+    log.push({
+      messageId: record.messageId,
+      type: record.type,
+      status: record.status,
+      error: record.error,
+      updatedAt: Date.now()
+    });
+    await this.store.set(`log:${userKey}`, log.slice(-limit));
+  }
+
+  /**
+   * Recent outbound messages to a user and their latest status
+   * @param {string} userKey - Scoped user key (channels.scopeKey)
+   * @returns {Promise<Array<DeliveryLogEntry>>}
+   */
+  async getDeliveryLog(userKey) {
+    return await this.store.get(`log:${userKey}`) || [];
+  }
+}
+
+module.exports = MessageStatusTracker;
@@ -0,0 +1,188 @@
+/**
+ * Redis Session Store
+ * Redis-backed store with native TTL expiry - survives restarts and is shared across instances
+ *
+ * Each entry is stored as a Redis hash with one JSON-encoded field per top-level key,
+ * so partial updates are a single atomic HSET instead of a read-modify-write.
+ */
+
+const Redis = require('ioredis');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+// HSET + EXPIRE only if the key is missing, in one atomic step. Entries are hashes, so this
+// replaces SET NX PX (a string key would break get/update). ARGV: ttlSeconds, field, value, ...
+const SET_IF_ABSENT_SCRIPT = `
+if redis.call('EXISTS', KEYS[1]) == 1 then
+  return 0
+end
+redis.call('HSET', KEYS[1], unpack(ARGV, 2))
+redis.call('EXPIRE', KEYS[1], ARGV[1])
+return 1
+`;
+
+class RedisStore {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.ttlMinutes] - Entry TTL (refreshed on every write)
+   * @param {string} [options.namespace] - Key namespace, e.g. "session" or "dedup"
+   * @param {Object} [options.client] - Existing ioredis-compatible client, shared between
+   *   namespaces (see createStore) - the caller logs its errors and closes it
+   */
+  constructor(options = {}) {
+    const ttlMinutes = options.ttlMinutes || config.session.ttlMinutes;
+    this.ttlSeconds = ttlMinutes * 60;
+    this.prefix = `${config.redis.keyPrefix}${options.namespace || 'session'}:`;
+    this.ownsClient = !options.client;
+    this.client = options.client || new Redis(config.redis.url);
+
+    if (this.ownsClient) {
+      this.client.on('error', (error) => {
+        logger.error('Redis connection error', { error: error.message });
+      });
+    }
+
+    logger.info(`RedisStore initialized with TTL: ${ttlMinutes} minutes`, { prefix: this.prefix });
+  }
+
+  /**
+   * Build namespaced Redis key
+   * @param {string} key
+   * @returns {string}
+   */
+  _key(key) {
+    return `${this.prefix}${key}`;
+  }
+
+  /**
+   * Serialize top-level fields to JSON strings (undefined fields are skipped)
+   * @param {Object} data
+   * @returns {Object}
+   */
+  _serialize(data) {
+    const fields = {};
+    for (const [field, value] of Object.entries(data || {})) {
+      if (value !== undefined) {
+        fields[field] = JSON.stringify(value);
+      }
+    }
+    return fields;
+  }
+
+  /**
+   * Get session data
+   * @param {string} key
+   * @returns {Promise<Object|null>}
+   */
+  async get(key) {
+    const fields = await this.client.hgetall(this._key(key));
+
+    if (!fields || Object.keys(fields).length === 0) {
+      return null;
+    }
+
+    const data = {};
+    for (const [field, raw] of Object.entries(fields)) {
+      try {
+        data[field] = JSON.parse(raw);
+      } catch (error) {
+        logger.warn('Skipping unreadable session field', { key, field, error: error.message });
+      }
+    }
+    return data;
+  }
+
+  /**
+   * Replace session data and reset TTL
+   * @param {string} key
+   * @param {Object} data
+   * @returns {Promise<void>}
+   */
+  async set(key, data) {
+    const redisKey = this._key(key);
+    const fields = this._serialize(data);
+    const transaction = this.client.multi().del(redisKey);
+
+    if (Object.keys(fields).length > 0) {
+      transaction.hset(redisKey, fields).expire(redisKey, this.ttlSeconds);
+    }
+
+    await transaction.exec();
+  }
+
+  /**
+   * Atomically set data only if the key does not exist yet
+   * @param {string} key
+   * @param {Object} data - Must have at least one defined field
+   * @returns {Promise<boolean>} true if the data was set, false if the key already existed
+   */
+  async setIfAbsent(key, data) {
+    const fields = Object.entries(this._serialize(data)).flat();
+    if (fields.length === 0) {
+      throw new Error('setIfAbsent needs at least one field');
+    }
+
+    const result = await this.client.eval(SET_IF_ABSENT_SCRIPT, 1, this._key(key), this.ttlSeconds, ...fields);
+    return result === 1;
+  }
+
+  /**
+   * Atomically merge top-level fields into session data and reset TTL
+   * Fields set to undefined are removed
+   * @param {string} key
+   * @param {Object} updates
+   * @returns {Promise<Object|null>} Updated session data
+   */
+  async update(key, updates) {
+    const redisKey = this._key(key);
+    const fields = this._serialize(updates);
+    const removed = Object.keys(updates || {}).filter(field => updates[field] === undefined);
+    const transaction = this.client.multi();
+
+    if (removed.length > 0) {
+      transaction.hdel(redisKey, ...removed);
+    }
+    if (Object.keys(fields).length > 0) {
+      transaction.hset(redisKey, fields);
+    }
+    transaction.expire(redisKey, this.ttlSeconds);
+
+    await transaction.exec();
+    return this.get(key);
+  }
+
+  /**
+   * Delete session
+   * @param {string} key
+   * @returns {Promise<void>}
+   */
+  async delete(key) {
+    await this.client.del(this._key(key));
+  }
+
+  /**
+   * Check if session exists
+   * @param {string} key
+   * @returns {Promise<boolean>}
+   */
+  async has(key) {
+    return (await this.client.exists(this._key(key))) === 1;
+  }
+
+  /**
+   * Remove expired entries - Redis expires keys natively, nothing to sweep
+   */
+  cleanup() {}
+
+  /**
+   * Close the Redis connection (only if this store created it)
+   * @returns {Promise<void>}
+   */
+  async destroy() {
+    if (this.ownsClient) {
+      await this.client.quit();
+    }
+  }
+}
+
+module.exports = RedisStore;
@@ -0,0 +1,75 @@
+/**
+ * Customer Service Window Tracker
+ * Records when each user last messaged us - free-form messages are only allowed
+ * within 24 hours of that, after which only approved templates can be sent
+ */
+
+const { normalizePhoneNumber } = require('../utils/phoneNumber');
+
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} ServiceWindow
+ * @property {boolean|null} open - Whether free-form messages can be sent; null when nothing is
+ *   recorded (e.g. memory store after a restart) - callers send and let Graph decide (131047)
+ * @property {number|null} lastInboundAt - Timestamp of the user's last message
+ * @property {number|null} closesAt - When the window closes
+ */
+
+class ServiceWindowTracker {
+  /**
+   * @param {Object} store - Session store; its TTL should be longer than the window, so a
+   *   closed window is still known as closed for a while instead of turning unknown
+   * @param {Object} [options]
+   * @param {Function} [options.scopeKey] - Maps a phone number to its store key - each
+   *   business number has its own window with the user
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.scopeKey = options.scopeKey || (phoneNumber => phoneNumber);
+  }
+
+  /**
+   * Record an inbound message from a user
+   * @param {string} userId - WhatsApp phone number
+   * @param {number} [timestamp] - Message timestamp (ms), defaults to now
+   * @returns {Promise<void>}
+   */
+  async recordInbound(userId, timestamp = Date.now()) {
+    // Never trust a timestamp from the future (clock skew would extend the window)
+    const lastInboundAt = Math.min(timestamp || Date.now(), Date.now());
+    await this.store.set(this.scopeKey(normalizePhoneNumber(userId)), { lastInboundAt });
+  }
+
+  /**
+   * Get the service window for a user
+   * @param {string} userId - WhatsApp phone number
+   * @returns {Promise<ServiceWindow>}
+   */
+  async getWindow(userId) {
+    const entry = await this.store.get(this.scopeKey(normalizePhoneNumber(userId)));
+    const lastInboundAt = entry?.lastInboundAt || null;
+
+    if (!lastInboundAt) {
+      return { open: null, lastInboundAt: null, closesAt: null };
+    }
+
+    const closesAt = lastInboundAt + WINDOW_MS;
+    return { open: Date.now() < closesAt, lastInboundAt, closesAt };
+  }
+
+  /**
+   * Claim the one re-open template allowed per closed window - a new inbound message
+   * starts a new window, and a new claim
+   * @param {string} userId - WhatsApp phone number
+   * @param {ServiceWindow} window - The closed window, from getWindow
+   * @returns {Promise<boolean>} true for the first caller only
+   */
+  async claimReopen(userId, window) {
+    const key = this.scopeKey(normalizePhoneNumber(userId));
+    return this.store.setIfAbsent(`reopen:${key}:${window.lastInboundAt}`, { sentAt: Date.now() });
+  }
+}
+
+module.exports = ServiceWindowTracker;
+module.exports.WINDOW_MS = WINDOW_MS;
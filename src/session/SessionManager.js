@@ -4,8 +4,14 @@
  */
 
 class SessionManager {
-  constructor(store) {
+  /**
+   * @param {Object} store - Session store
+   * @param {Object} [options]
+   * @param {Function} [options.scopeKey] - Maps a user ID to its store key (e.g. per tenant)
+   */
+  constructor(store, options = {}) {
     this.store = store;
+    this.scopeKey = options.scopeKey || (userId => userId);
   }
 
   /**
@@ -14,7 +20,7 @@ class SessionManager {
    * @returns {Promise<Object|null>}
    */
   async get(userId) {
-    return this.store.get(userId);
+    return this.store.get(this.scopeKey(userId));
   }
 
   /**
@@ -24,7 +30,7 @@ class SessionManager {
    * @returns {Promise<void>}
    */
   async set(userId, data) {
-    return this.store.set(userId, data);
+    return this.store.set(this.scopeKey(userId), data);
   }
 
   /**
@@ -34,6 +40,11 @@ class SessionManager {
    * @returns {Promise<Object>}
    */
   async update(userId, updates) {
+    // Stores with native partial updates (e.g. Redis) apply them atomically
+    if (typeof this.store.update === 'function') {
+      return this.store.update(this.scopeKey(userId), { ...updates, updatedAt: Date.now() });
+    }
+
     const existing = await this.get(userId) || {};
     const updated = { ...existing, ...updates, updatedAt: Date.now() };
     await this.set(userId, updated);
@@ -46,7 +57,7 @@ class SessionManager {
    * @returns {Promise<void>}
    */
   async delete(userId) {
-    return this.store.delete(userId);
+    return this.store.delete(this.scopeKey(userId));
   }
 
   /**
@@ -55,7 +66,7 @@ class SessionManager {
    * @returns {Promise<boolean>}
    */
   async has(userId) {
-    return this.store.has(userId);
+    return this.store.has(this.scopeKey(userId));
   }
 }
 
@@ -0,0 +1,87 @@
+/**
+ * Session Store Factory
+ * Builds the store selected by SESSION_STORE
+ */
+
+const path = require('path');
+const config = require('../config');
+const logger = require('../utils/logger');
+const MemoryStore = require('./MemoryStore');
+
+// Every store created, so shutdown can flush and close them
+const stores = [];
+// One Redis connection shared by every namespace (sessions, dedup, queues, trackers)
+let redisClient = null;
+
+/**
+ * The process-wide Redis client, connected on first use
+ * @returns {Object} ioredis client
+ */
+function getRedisClient() {
+  if (!redisClient) {
+    const Redis = require('ioredis');
+    redisClient = new Redis(config.redis.url);
+    redisClient.on('error', (error) => {
+      logger.error('Redis connection error', { error: error.message });
+    });
+  }
+  return redisClient;
+}
+
+/**
+ * Create a store implementing get/set/setIfAbsent/update/delete/has
+ * @param {Object} [options]
+ * @param {number} [options.ttlMinutes] - Entry TTL
+ * @param {string} [options.namespace] - Key namespace for shared backends (e.g. "session", "dedup")
+ * @returns {Object}
+ */
+function createStore(options = {}) {
+  const store = buildStore(options);
+  stores.push(store);
+  return store;
+}
+
+/**
+ * Build the configured store
+ * @param {Object} options - See createStore
+ * @returns {Object}
+ */
+function buildStore(options) {
+  const { ttlMinutes = config.session.ttlMinutes, namespace = 'session' } = options;
+
+  switch (config.session.store) {
+    case 'redis': {
+      // Required lazily so memory-only deployments never open a Redis connection
+      const RedisStore = require('./RedisStore');
+      return new RedisStore({ ttlMinutes, namespace, client: getRedisClient() });
+    }
+
+    case 'file': {
+      const FileStore = require('./FileStore');
+      return new FileStore(ttlMinutes, path.join(config.session.fileDir, `${namespace}.jsonl`));
+    }
+
+    case 'memory':
+      return new MemoryStore(ttlMinutes);
+
+    default:
+      logger.warn(`Unknown session store "${config.session.store}", falling back to memory`);
+      return new MemoryStore(ttlMinutes);
+  }
+}
+
+/**
+ * Flush and close every store (file journals, the Redis connection) - call on shutdown
+ * @returns {Promise<void>}
+ */
+async function closeAll() {
+  await Promise.all(stores.map(store => store.destroy()));
+  // Stores don't own the shared connection
+  if (redisClient) {
+    await redisClient.quit();
+    redisClient = null;
+  }
+}
+
+module.exports = createStore;
+module.exports.closeAll = closeAll;
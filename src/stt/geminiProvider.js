@@ -0,0 +1,74 @@
+/**
+ * Gemini Speech-to-Text Provider
+ * Transcribes voice notes by sending the audio inline to Gemini
+ */
+
+const geminiClient = require('../genai/geminiClient');
+const config = require('../config');
+const logger = require('../utils/logger');
+
+/**
+ * System prompt for transcription
+ */
+const TRANSCRIBE_SYSTEM_PROMPT = `You are a speech-to-text engine for a travel assistant used in India. Transcribe the user's voice note exactly as spoken, in the language and script it was spoken in (English, Hindi, Hinglish or any Indian language).
+
+Return ONLY a valid JSON object:
+
+{
+  "text": "the transcript",
+  "language": "BCP-47 language code, e.g. en-IN, hi-IN, ta-IN"
+}
+
+If the audio is silent or unintelligible, return an empty "text".`;
+
+class GeminiSttProvider {
+  constructor() {
+    this.name = 'gemini';
+  }
+
+  /**
+   * Transcribe audio
+   * @param {Buffer} audio - Raw audio bytes
+   * @param {string} mimeType - Audio MIME type (e.g. "audio/ogg; codecs=opus")
+   * @returns {Promise<{text: string, language: string}|null>}
+   */
+  async transcribe(audio, mimeType) {
+    if (!geminiClient.isReady()) {
+      logger.warn('Gemini client not ready, cannot transcribe voice note');
+      return null;
+    }
+
+    // Gemini expects the bare MIME type without codec parameters
+    const baseMimeType = (mimeType || 'audio/ogg').split(';')[0].trim();
+
+    const result = await geminiClient.generateFromParts([
+      { inlineData: { mimeType: baseMimeType, data: audio.toString('base64') } },
+      { text: 'Transcribe this voice note.' }
+    ], TRANSCRIBE_SYSTEM_PROMPT);
+
+    if (!result) {
+      return null;
+    }
+
+    try {
+      const jsonMatch = result.match(/\{[\s\S]*\}/);
+      const parsed = JSON.parse(jsonMatch ? jsonMatch[0] : result);
+      return {
+        text: (parsed.text || '').trim(),
+        language: parsed.language || config.stt.defaultLanguage
+      };
+    } catch (parseError) {
+      // Model ignored the JSON format - treat the whole reply as the transcript
+      logger.warn('STT: Could not parse Gemini transcription JSON, using raw text', {
+        error: parseError.message,
+        responsePreview: result.substring(0, 100)
+      });
+      return {
+        text: result.trim(),
+        language: config.stt.defaultLanguage
+      };
+    }
+  }
+}
+
+module.exports = GeminiSttProvider;
@@ -0,0 +1,76 @@
+/**
+ * Speech-to-Text Module Index
+ * Selects the configured STT provider and exposes a single transcribe() call
+ */
+
+const config = require('../config');
+const logger = require('../utils/logger');
+const GeminiSttProvider = require('./geminiProvider');
+const StubSttProvider = require('./stubProvider');
+
+/**
+ * @typedef {Object} SttProvider
+ * @property {string} name
+ * @property {function(Buffer, string): Promise<{text: string, language: string}|null>} transcribe
+ */
+
+const providers = {
+  gemini: GeminiSttProvider,
+  stub: StubSttProvider
+};
+
+let activeProvider = null;
+
+/**
+ * Get the active provider (created lazily from config)
+ * @returns {SttProvider}
+ */
+function getProvider() {
+  if (!activeProvider) {
+    const Provider = providers[config.stt.provider];
+    if (!Provider) {
+      logger.warn(`Unknown STT provider "${config.stt.provider}", falling back to gemini`);
+    }
+    activeProvider = new (Provider || GeminiSttProvider)();
+    logger.info(`STT provider initialized: ${activeProvider.name}`);
+  }
+  return activeProvider;
+}
+
+/**
+ * Replace the active provider (e.g. with a stub in tests)
+ * @param {SttProvider} provider
+ */
+function setProvider(provider) {
+  activeProvider = provider;
+}
+
+/**
+ * Transcribe a voice note
+ * @param {Buffer} audio - Raw audio bytes
+ * @param {string} mimeType - Audio MIME type
+ * @returns {Promise<{text: string, language: string}|null>}
+ */
+async function transcribe(audio, mimeType) {
+  const provider = getProvider();
+  const startTime = Date.now();
+
+  const result = await provider.transcribe(audio, mimeType);
+
+  logger.info('🎙️ [STT] Voice note transcribed', {
+    provider: provider.name,
+    hasText: !!result?.text,
+    language: result?.language,
+    durationMs: Date.now() - startTime
+  });
+
+  return result;
+}
+
+module.exports = {
+  transcribe,
+  getProvider,
+  setProvider,
+  GeminiSttProvider,
+  StubSttProvider
+};
@@ -0,0 +1,34 @@
+/**
+ * Stub Speech-to-Text Provider
+ * Returns a fixed transcript - for local testing without a real STT backend
+ */
+
+const config = require('../config');
+
+class StubSttProvider {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.transcript] - Transcript to return for every voice note
+   * @param {string} [options.language] - Language to report
+   */
+  constructor(options = {}) {
+    this.name = 'stub';
+    this.transcript = options.transcript || config.stt.stubTranscript;
+    this.language = options.language || config.stt.defaultLanguage;
+  }
+
+  /**
+   * Transcribe audio
+   * @param {Buffer} audio - Raw audio bytes (ignored)
+   * @param {string} mimeType - Audio MIME type (ignored)
+   * @returns {Promise<{text: string, language: string}>}
+   */
+  async transcribe(audio, mimeType) {
+    return {
+      text: this.transcript,
+      language: this.language
+    };
+  }
+}
+
+module.exports = StubSttProvider;
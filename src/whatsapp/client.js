@@ -7,25 +7,113 @@ const axios = require('axios');
 const config = require('../config');
 const logger = require('../utils/logger');
 const { normalizePhoneNumber, formatPhoneNumber } = require('../utils/phoneNumber');
+const { buildTemplate } = require('./templates');
+const OutboundQueue = require('./outboundQueue');
+const tenants = require('./tenants');
+
+// Graph API error codes worth retrying
+const THROTTLING_ERROR_CODES = [
+  130429, // Cloud API throughput reached
+  131056  // Pair rate limit (too many messages to the same recipient)
+];
+const PAIR_RATE_LIMIT_ERROR_CODE = 131056;
+
+// Network-level failures worth retrying. Timeouts (ETIMEDOUT, ECONNABORTED) are left out:
+// Graph may have accepted a slow message POST, and a retry would send it to the user twice
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Cut titles to a length limit, keeping them unique - Graph rejects an interactive message
+ * whose button (or list row) titles repeat, and long titles often share their first characters
+ * @param {Array<string>} titles
+ * @param {number} maxLength
+ * @returns {Array<string>} Titles in the same order; repeats get a " 2", " 3"... suffix
+ */
+function uniqueTitles(titles, maxLength) {
+  const used = new Set();
+
+  return titles.map(title => {
+    let result = title.slice(0, maxLength);
+    for (let n = 2; used.has(result); n++) {
+      const suffix = ` ${n}`;
+      result = title.slice(0, maxLength - suffix.length).trimEnd() + suffix;
+    }
+    used.add(result);
+    return result;
+  });
+}
 
 class WhatsAppClient {
   constructor() {
-    this.baseUrl = `${config.whatsapp.apiUrl}/${config.whatsapp.phoneNumberId}/messages`;
     // Headers will be built dynamically to always use the latest token
     this._baseHeaders = {
       'Content-Type': 'application/json'
     };
+    // Set by the orchestrator - tells us when each user last messaged us
+    this.serviceWindow = null;
+    // Set by the orchestrator - records the lifecycle of every message we send
+    this.statusTracker = null;
+    // Earliest time the next message may go to each recipient (pair rate limit), per business number
+    this._nextSendAt = new Map();
+    // Keeps test mode message IDs unique within the same millisecond
+    this._testMessageSeq = 0;
+    // Keeps messages to each recipient in order
+    this.outbound = new OutboundQueue(config.whatsapp.outbound);
   }
 
   /**
-   * Get current headers with fresh token from config
+   * Feed a message status webhook - releases the next queued message to that recipient
+   * @param {Object} status - Raw status object (id, status, recipient_id, ...)
+   */
+  handleStatus(status) {
+    this.outbound.handleStatus(status);
+  }
+
+  /**
+   * Attach the customer service window tracker used to guard free-form sends
+   * @param {Object} tracker - ServiceWindowTracker
+   */
+  setServiceWindowTracker(tracker) {
+    this.serviceWindow = tracker;
+  }
+
+  /**
+   * Attach the tracker that records accepted messages for status webhooks
+   * @param {Object} tracker - MessageStatusTracker
+   */
+  setStatusTracker(tracker) {
+    this.statusTracker = tracker;
+  }
+
+  /**
+   * Record an accepted message - tracking problems must never fail the send
+   * @param {string} messageId
+   * @param {Object} normalizedPayload
+   */
+  async _recordOutbound(messageId, normalizedPayload) {
+    if (!this.statusTracker || !messageId) {
+      return;
+    }
+
+    try {
+      await this.statusTracker.recordOutbound(messageId, normalizedPayload);
+    } catch (error) {
+      logger.warn('Failed to record outbound message status', { messageId, error: error.message });
+    }
+  }
+
+  /**
+   * Get current headers with the tenant's token from config
    * This ensures we always use the latest token from environment
+   * @param {Object} [tenant] - Tenant to authenticate as (defaults to the current one)
    * @returns {Object}
    */
-  _getHeaders() {
-    const accessToken = config.whatsapp.accessToken;
+  _getHeaders(tenant = tenants.currentTenant()) {
+    const accessToken = tenant.accessToken;
     if (!accessToken) {
-      logger.warn('⚠️ WA_ACCESS_TOKEN is not set in environment');
+      logger.warn('⚠️ WA_ACCESS_TOKEN is not set in environment', { tenant: tenant.id });
     }
     return {
       ...this._baseHeaders,
@@ -33,6 +121,24 @@ class WhatsAppClient {
     };
   }
 
+  /**
+   * Messages endpoint of a tenant's business number
+   * @param {Object} tenant
+   * @returns {string}
+   */
+  _messagesUrl(tenant) {
+    return `${config.whatsapp.apiUrl}/${tenant.phoneNumberId}/messages`;
+  }
+
+  /**
+   * Test mode: development without a token for the tenant skips real API calls
+   * @param {Object} [tenant] - Defaults to the current tenant
+   * @returns {boolean}
+   */
+  _isTestMode(tenant = tenants.currentTenant()) {
+    return config.isDev && !tenant.accessToken;
+  }
+
   /**
    * Normalize phone number in payload
    * @param {Object} payload - WhatsApp message payload
@@ -109,28 +215,253 @@ class WhatsAppClient {
            errorMessage.includes('does not support this operation');
   }
 
+  /**
+   * Check if error is due to the 24-hour customer service window having closed
+   * @param {Object} error - Axios error
+   * @returns {boolean}
+   */
+  _isWindowClosedError(error) {
+    const errorCode = error.response?.data?.error?.code;
+    const errorMessage = error.response?.data?.error?.message || '';
+    // 131047 = Re-engagement message (more than 24 hours since the customer last replied)
+    return errorCode === 131047 || errorMessage.includes('Re-engagement message');
+  }
+
+  /**
+   * Create the error thrown when a free-form message can't be sent outside the window
+   * @param {string} phoneNumberDisplay
+   * @param {Object} [window] - ServiceWindow, if known
+   * @returns {Error}
+   */
+  _windowClosedError(phoneNumberDisplay, window = null) {
+    const customError = new Error(`Cannot send free-form message to ${phoneNumberDisplay}: 24-hour customer service window is closed. Use an approved template instead.`);
+    customError.code = 131047;
+    customError.isWindowClosed = true;
+    customError.phoneNumber = phoneNumberDisplay;
+    customError.lastInboundAt = window?.lastInboundAt || null;
+    return customError;
+  }
+
+  /**
+   * Check if error is transient and the request can be retried
+   * Permanent errors (token, phone number ID, recipient, window), timeouts and errors
+   * without a response or a known network code (e.g. programming errors) are never retried
+   * @param {Object} error - Axios error
+   * @returns {boolean}
+   */
+  _isRetryableError(error) {
+    if (this._isTokenError(error) ||
+        this._isRecipientNotAllowedError(error) ||
+        this._isPhoneNumberIdError(error) ||
+        this._isWindowClosedError(error)) {
+      return false;
+    }
+
+    // No response at all = network failure
+    if (!error.response) {
+      return RETRYABLE_NETWORK_CODES.includes(error.code);
+    }
+
+    const status = error.response.status;
+    const errorCode = error.response.data?.error?.code;
+
+    return THROTTLING_ERROR_CODES.includes(errorCode) || status === 429 || status >= 500;
+  }
+
+  /**
+   * Check if error is the per-recipient pair rate limit
+   * @param {Object} error - Axios error
+   * @returns {boolean}
+   */
+  _isPairRateLimitError(error) {
+    return error.response?.data?.error?.code === PAIR_RATE_LIMIT_ERROR_CODE;
+  }
+
+  /**
+   * Backoff delay before the next attempt: exponential with jitter, or Retry-After if given
+   * @param {Object} error - Axios error
+   * @param {number} attempt - Attempt that just failed (1-based)
+   * @returns {number} Delay in ms
+   */
+  _getRetryDelay(error, attempt) {
+    const { baseDelayMs, maxDelayMs } = config.whatsapp.retry;
+
+    const retryAfterSeconds = parseInt(error.response?.headers?.['retry-after'], 10);
+    if (!isNaN(retryAfterSeconds)) {
+      return Math.min(retryAfterSeconds * 1000, maxDelayMs);
+    }
+
+    // Equal jitter: half fixed, half random - spreads out retries from parallel sends
+    const exponential = Math.min(baseDelayMs * 2 ** (attempt - 1), maxDelayMs);
+    return Math.round(exponential / 2 + Math.random() * exponential / 2);
+  }
+
+  /**
+   * Wait until the recipient may receive another message, and reserve the next slot
+   * @param {string} to - Business phone number ID and normalized recipient (pair key)
+   * @returns {Promise<void>}
+   */
+  async _waitForRecipientSlot(to) {
+    const now = Date.now();
+    const slot = Math.max(now, this._nextSendAt.get(to) || 0);
+
+    // Reserve synchronously so concurrent sends to the same recipient are spaced out
+    this._nextSendAt.set(to, slot + config.whatsapp.pairMinIntervalMs);
+
+    if (this._nextSendAt.size > 1000) {
+      for (const [recipient, nextAt] of this._nextSendAt) {
+        if (nextAt < now) {
+          this._nextSendAt.delete(recipient);
+        }
+      }
+    }
+
+    if (slot > now) {
+      await sleep(slot - now);
+    }
+  }
+
+  /**
+   * Hold back all messages to a recipient after a pair rate limit error
+   * @param {string} to - Business phone number ID and normalized recipient (pair key)
+   * @param {number} delayMs
+   */
+  _deferRecipient(to, delayMs) {
+    const deferUntil = Date.now() + delayMs;
+    if (deferUntil > (this._nextSendAt.get(to) || 0)) {
+      this._nextSendAt.set(to, deferUntil);
+    }
+  }
+
+  /**
+   * POST a message, retrying transient failures with jittered exponential backoff
+   * @param {Object} payload - Normalized WhatsApp message payload
+   * @param {Object} tenant - Business number to send from
+   * @returns {Promise<Object>} Axios response
+   */
+  async _postWithRetry(payload, tenant) {
+    const { maxAttempts } = config.whatsapp.retry;
+    // Pair rate limits apply per business number and recipient
+    const pairKey = `${tenant.phoneNumberId}:${payload.to}`;
+
+    for (let attempt = 1; ; attempt++) {
+      await this._waitForRecipientSlot(pairKey);
+
+      try {
+        return await axios.post(this._messagesUrl(tenant), payload, {
+          headers: this._getHeaders(tenant)
+        });
+      } catch (error) {
+        error.attempts = attempt;
+
+        if (attempt >= maxAttempts || !this._isRetryableError(error)) {
+          throw error;
+        }
+
+        const delay = this._getRetryDelay(error, attempt);
+        if (this._isPairRateLimitError(error)) {
+          this._deferRecipient(pairKey, delay);
+        }
+
+        logger.warn('⚠️ WhatsApp send failed, retrying', {
+          to: formatPhoneNumber(payload.to),
+          tenant: tenant.id,
+          type: payload.type,
+          attempt,
+          maxAttempts,
+          delayMs: delay,
+          status: error.response?.status,
+          errorCode: error.response?.data?.error?.code || error.code,
+          errorMessage: error.response?.data?.error?.message || error.message
+        });
+
+        await sleep(delay);
+      }
+    }
+  }
+
   /**
    * Send a message to WhatsApp
+   * Free-form messages outside the 24-hour window are refused, or - when
+   * WA_WINDOW_CLOSED_POLICY=template - the first one is replaced by the re-open template and
+   * the rest of that window's are dropped. Messages to the same recipient are delivered one
+   * at a time, in call order, from the current tenant's number.
    * @param {Object} payload - WhatsApp message payload
-   * @returns {Promise<Object>}
+   * @returns {Promise<Object>} Graph response, or { messages: [], windowClosed: true,
+   *   reopenTemplateSent } when the message was not delivered because the window is closed
    */
   async send(payload) {
     // Normalize phone number
     const normalizedPayload = this._normalizePayload(payload);
     const phoneNumberDisplay = formatPhoneNumber(normalizedPayload.to);
 
+    // Only templates may be sent once the customer service window has closed. A window we
+    // know nothing about (lost on restart) is not refused - Graph answers 131047 if it is closed
+    if (this.serviceWindow && normalizedPayload.type !== 'template') {
+      const window = await this.serviceWindow.getWindow(normalizedPayload.to);
+      if (window.open === false) {
+        if (config.whatsapp.windowClosedPolicy === 'template') {
+          // One reply is many messages - only the first re-opens, the rest are dropped
+          if (!await this.serviceWindow.claimReopen(normalizedPayload.to, window)) {
+            logger.info('⏭️ Service window closed, re-open template already sent - dropping message', {
+              to: phoneNumberDisplay,
+              type: normalizedPayload.type
+            });
+            return { messages: [], windowClosed: true, reopenTemplateSent: false };
+          }
+
+          logger.warn('⚠️ Service window closed - downgrading to template', {
+            to: phoneNumberDisplay,
+            type: normalizedPayload.type,
+            template: config.whatsapp.reopenTemplate,
+            lastInboundAt: window.lastInboundAt
+          });
+          // Not the caller's message - no ID for it to remember as a card/suggestion
+          await this.sendTemplate(normalizedPayload.to, config.whatsapp.reopenTemplate);
+          return { messages: [], windowClosed: true, reopenTemplateSent: true };
+        }
+
+        logger.warn('⚠️ Service window closed - refusing free-form message', {
+          to: phoneNumberDisplay,
+          type: normalizedPayload.type,
+          lastInboundAt: window.lastInboundAt
+        });
+        throw this._windowClosedError(phoneNumberDisplay, window);
+      }
+    }
+
+    // Resolved now - the queue may run the send after the caller's context is gone
+    const tenant = tenants.currentTenant();
+    return this.outbound.enqueue(`${tenant.id}:${normalizedPayload.to}`,
+      () => this._deliver(normalizedPayload, tenant));
+  }
+
+  /**
+   * Post a normalized payload to the Graph API (called in order by the outbound queue)
+   * @param {Object} normalizedPayload - Payload with normalized recipient
+   * @param {Object} tenant - Business number to send from
+   * @returns {Promise<Object>}
+   */
+  async _deliver(normalizedPayload, tenant) {
+    const phoneNumberDisplay = formatPhoneNumber(normalizedPayload.to);
+
     // Test mode: Skip actual API call in development
-    if (config.isDev && !config.whatsapp.accessToken) {
+    if (this._isTestMode(tenant)) {
+      const testMessageId = `test_${Date.now()}_${++this._testMessageSeq}`;
       logger.info('🧪 TEST MODE: Skipping WhatsApp API call', {
+        messageId: testMessageId,
+        tenant: tenant.id,
         to: phoneNumberDisplay,
         normalized: normalizedPayload.to,
         type: normalizedPayload.type,
-        message: normalizedPayload.text?.body || normalizedPayload.interactive?.body?.text || 'N/A'
+        message: normalizedPayload.text?.body || normalizedPayload.interactive?.body?.text ||
+                 (normalizedPayload.template ? `template:${normalizedPayload.template.name}` : 'N/A')
       });
+      await this._recordOutbound(testMessageId, normalizedPayload);
       return {
         messaging_product: 'whatsapp',
         contacts: [{ input: normalizedPayload.to, wa_id: normalizedPayload.to }],
-        messages: [{ id: `test_${Date.now()}` }]
+        messages: [{ id: testMessageId }]
       };
     }
 
@@ -138,12 +469,11 @@ class WhatsAppClient {
       logger.debug('Sending WhatsApp message', {
         to: phoneNumberDisplay,
         normalized: normalizedPayload.to,
-        type: normalizedPayload.type
+        type: normalizedPayload.type,
+        tenant: tenant.id
       });
 
-      const response = await axios.post(this.baseUrl, normalizedPayload, {
-        headers: this._getHeaders()
-      });
+      const response = await this._postWithRetry(normalizedPayload, tenant);
       
       // Check if message was actually accepted
       const messageId = response.data?.messages?.[0]?.id;
@@ -182,6 +512,7 @@ class WhatsAppClient {
         messageId: messageId,
         to: phoneNumberDisplay
       });
+      await this._recordOutbound(messageId, normalizedPayload);
       return response.data;
     } catch (error) {
       const errorData = error.response?.data?.error || {};
@@ -191,7 +522,7 @@ class WhatsAppClient {
 
       // Special handling for token errors (expired/invalid)
       if (this._isTokenError(error)) {
-        const currentToken = config.whatsapp.accessToken;
+        const currentToken = tenant.accessToken;
         const tokenPreview = currentToken ? 
           `${currentToken.substring(0, 10)}...${currentToken.substring(currentToken.length - 5)}` : 
           'NOT SET';
@@ -202,6 +533,7 @@ class WhatsAppClient {
           errorMessage,
           tokenPreview,
           tokenLength: currentToken?.length || 0,
+          tenant: tenant.id,
           help: 'Your WhatsApp access token has expired or is invalid. Generate a new token from WhatsApp Business Manager and update WA_ACCESS_TOKEN in your .env file. IMPORTANT: You must restart the application after updating the .env file for changes to take effect.'
         });
         
@@ -215,7 +547,7 @@ class WhatsAppClient {
 
       // Special handling for phone number ID errors (invalid or missing permissions)
       if (this._isPhoneNumberIdError(error)) {
-        const phoneNumberId = config.whatsapp.phoneNumberId;
+        const phoneNumberId = tenant.phoneNumberId;
         const phoneNumberIdPreview = phoneNumberId ? 
           `${phoneNumberId.substring(0, 5)}...${phoneNumberId.substring(phoneNumberId.length - 5)}` : 
           'NOT SET';
@@ -227,6 +559,7 @@ class WhatsAppClient {
           errorMessage,
           phoneNumberId: phoneNumberIdPreview,
           phoneNumberIdLength: phoneNumberId?.length || 0,
+          tenant: tenant.id,
           help: 'Your WhatsApp phone number ID is invalid, does not exist, or your access token does not have permissions to access it. Verify WA_PHONE_NUMBER_ID in your .env file matches the phone number ID from WhatsApp Business Manager. Ensure your access token has permissions for this phone number. IMPORTANT: You must restart the application after updating the .env file.'
         });
         
@@ -257,18 +590,38 @@ class WhatsAppClient {
         throw customError;
       }
 
+      // Graph API says the window is closed (e.g. our tracking was lost on restart)
+      if (this._isWindowClosedError(error)) {
+        logger.error('❌ Customer service window closed', {
+          phoneNumber: phoneNumberDisplay,
+          errorCode,
+          errorMessage
+        });
+        throw this._windowClosedError(phoneNumberDisplay);
+      }
+
       logger.error('Failed to send WhatsApp message', {
         phoneNumber: phoneNumberDisplay,
         normalized: normalizedPayload.to,
         error: errorData || error.message,
         status: error.response?.status,
         errorCode,
-        errorType
+        errorType,
+        attempts: error.attempts
       });
       throw error;
     }
   }
 
+  /**
+   * Build the media object of a payload - by ID when uploaded, by link otherwise
+   * @param {string|{id: string}} media - URL or { id }
+   * @returns {{link: string}|{id: string}}
+   */
+  _mediaObject(media) {
+    return typeof media === 'string' ? { link: media } : { id: media.id };
+  }
+
   /**
    * Send text message
    * @param {string} to - Recipient phone number
@@ -302,11 +655,11 @@ class WhatsAppClient {
   /**
    * Send image message
    * @param {string} to - Recipient phone number
-   * @param {string} imageUrl - Image URL
+   * @param {string|{id: string}} image - Image URL, or uploaded media ({ id })
    * @param {string} [caption] - Optional caption
    * @returns {Promise<Object>}
    */
-  async sendImage(to, imageUrl, caption = '') {
+  async sendImage(to, image, caption = '') {
     const normalizedTo = normalizePhoneNumber(to);
     return this.send({
       messaging_product: 'whatsapp',
@@ -314,7 +667,7 @@ class WhatsAppClient {
       to: normalizedTo,
       type: 'image',
       image: {
-        link: imageUrl,
+        ...this._mediaObject(image),
         caption: caption
       }
     });
@@ -331,6 +684,8 @@ class WhatsAppClient {
    */
   async sendButtons(to, bodyText, buttons, header = null, footer = null) {
     const normalizedTo = normalizePhoneNumber(to);
+    const shown = buttons.slice(0, 3);
+    const titles = uniqueTitles(shown.map(btn => btn.title), 20);
     const payload = {
       messaging_product: 'whatsapp',
       recipient_type: 'individual',
@@ -340,9 +695,9 @@ class WhatsAppClient {
         type: 'button',
         body: { text: bodyText },
         action: {
-          buttons: buttons.slice(0, 3).map(btn => ({
+          buttons: shown.map((btn, i) => ({
             type: 'reply',
-            reply: { id: btn.id, title: btn.title.slice(0, 20) }
+            reply: { id: btn.id, title: titles[i] }
           }))
         }
       }
@@ -358,6 +713,144 @@ class WhatsAppClient {
     return this.send(payload);
   }
 
+  /**
+   * Send interactive call-to-action URL message (a single button that opens a link)
+   * @param {string} to - Recipient phone number
+   * @param {string} bodyText - Message body
+   * @param {string} displayText - Button label (max 20 characters)
+   * @param {string} url - Link opened by the button
+   * @param {Object} [options]
+   * @param {string|{id: string}} [options.image] - Header image URL, or uploaded media ({ id })
+   * @param {string} [options.header] - Header text (ignored when an image is given)
+   * @param {string} [options.footer] - Footer text
+   * @returns {Promise<Object>}
+   */
+  async sendCtaUrl(to, bodyText, displayText, url, options = {}) {
+    const normalizedTo = normalizePhoneNumber(to);
+    const payload = {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: normalizedTo,
+      type: 'interactive',
+      interactive: {
+        type: 'cta_url',
+        body: { text: bodyText },
+        action: {
+          name: 'cta_url',
+          parameters: {
+            display_text: displayText.slice(0, 20),
+            url
+          }
+        }
+      }
+    };
+
+    if (options.image) {
+      payload.interactive.header = { type: 'image', image: this._mediaObject(options.image) };
+    } else if (options.header) {
+      payload.interactive.header = { type: 'text', text: options.header };
+    }
+    if (options.footer) {
+      payload.interactive.footer = { text: options.footer };
+    }
+
+    return this.send(payload);
+  }
+
+  /**
+   * Send a document (e.g. a PDF voucher)
+   * @param {string} to - Recipient phone number
+   * @param {string|{id: string}} document - Document URL, or uploaded media ({ id })
+   * @param {string} filename - File name shown to the user
+   * @param {string} [caption] - Optional caption
+   * @returns {Promise<Object>}
+   */
+  async sendDocument(to, document, filename, caption = '') {
+    const normalizedTo = normalizePhoneNumber(to);
+    return this.send({
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: normalizedTo,
+      type: 'document',
+      document: {
+        ...this._mediaObject(document),
+        filename,
+        caption
+      }
+    });
+  }
+
+  /**
+   * Send a location pin
+   * @param {string} to - Recipient phone number
+   * @param {{latitude: number, longitude: number, name?: string, address?: string}} location
+   * @returns {Promise<Object>}
+   */
+  async sendLocation(to, location) {
+    const normalizedTo = normalizePhoneNumber(to);
+    const payload = {
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: normalizedTo,
+      type: 'location',
+      location: {
+        latitude: location.latitude,
+        longitude: location.longitude
+      }
+    };
+
+    if (location.name) {
+      payload.location.name = location.name;
+    }
+    if (location.address) {
+      payload.location.address = location.address;
+    }
+
+    return this.send(payload);
+  }
+
+  /**
+   * Ask the user to share their location (shows a "Send location" button)
+   * @param {string} to - Recipient phone number
+   * @param {string} bodyText - Message body
+   * @returns {Promise<Object>}
+   */
+  async sendLocationRequest(to, bodyText) {
+    const normalizedTo = normalizePhoneNumber(to);
+    return this.send({
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: normalizedTo,
+      type: 'interactive',
+      interactive: {
+        type: 'location_request_message',
+        body: { text: bodyText },
+        action: { name: 'send_location' }
+      }
+    });
+  }
+
+  /**
+   * React to a message with an emoji (an empty emoji removes our reaction)
+   * @param {string} to - Recipient phone number
+   * @param {string} messageId - Message to react to
+   * @param {string} emoji - Emoji, e.g. '✅'
+   * @returns {Promise<Object>}
+   */
+  async sendReaction(to, messageId, emoji) {
+    const normalizedTo = normalizePhoneNumber(to);
+    return this.send({
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: normalizedTo,
+      type: 'reaction',
+      reaction: {
+        message_id: messageId,
+        emoji: emoji || ''
+      }
+    });
+  }
+
   /**
    * Send interactive list message
    * @param {string} to - Recipient phone number
@@ -368,6 +861,9 @@ class WhatsAppClient {
    */
   async sendList(to, bodyText, buttonText, sections) {
     const normalizedTo = normalizePhoneNumber(to);
+    // Row titles must be unique across the whole list
+    const rowTitles = uniqueTitles(sections.flatMap(section => section.rows.slice(0, 10).map(row => row.title)), 24);
+    let rowIndex = 0;
     return this.send({
       messaging_product: 'whatsapp',
       recipient_type: 'individual',
@@ -382,7 +878,7 @@ class WhatsAppClient {
             title: section.title.slice(0, 24),
             rows: section.rows.slice(0, 10).map(row => ({
               id: row.id,
-              title: row.title.slice(0, 24),
+              title: rowTitles[rowIndex++],
               description: row.description?.slice(0, 72)
             }))
           }))
@@ -394,15 +890,17 @@ class WhatsAppClient {
   /**
    * Send image with interactive buttons (for carousel items)
    * @param {string} to - Recipient phone number
-   * @param {string} imageUrl - Image URL
+   * @param {string|{id: string}} image - Image URL, or uploaded media ({ id })
    * @param {string} caption - Image caption
    * @param {Array<{id: string, title: string, url?: string}>} buttons - Up to 3 buttons
    *   If button has 'url' property, it will be a URL button that opens the link directly
    *   Otherwise, it will be a reply button that sends the id back to webhook
    * @returns {Promise<Object>}
    */
-  async sendImageWithButtons(to, imageUrl, caption, buttons) {
+  async sendImageWithButtons(to, image, caption, buttons) {
     const normalizedTo = normalizePhoneNumber(to);
+    const shown = buttons.slice(0, 3);
+    const titles = uniqueTitles(shown.map(btn => btn.title), 20);
     return this.send({
       messaging_product: 'whatsapp',
       recipient_type: 'individual',
@@ -412,13 +910,13 @@ class WhatsAppClient {
         type: 'button',
         header: {
           type: 'image',
-          image: { link: imageUrl }
+          image: this._mediaObject(image)
         },
         body: { text: caption },
         action: {
-          buttons: buttons.slice(0, 3).map(btn => ({
+          buttons: shown.map((btn, i) => ({
             type: 'reply',
-            reply: { id: btn.id, title: btn.title.slice(0, 20) }
+            reply: { id: btn.id, title: titles[i] }
           }))
         }
       }
@@ -426,21 +924,43 @@ class WhatsAppClient {
   }
 
   /**
-   * Send typing indicator (shows "typing..." in WhatsApp)
+   * Send an approved template message (works outside the 24-hour window)
+   * Parameters are validated against the local registry before calling the API;
+   * invalid input throws an error with isTemplateValidationError = true
    * @param {string} to - Recipient phone number
-   * @param {boolean} typing - true to start typing, false to stop
-   * @param {string} [messageId] - Optional message ID from incoming message (required for some API versions)
+   * @param {string} templateName - Template name registered in ./templates
+   * @param {Object} [params] - Parameter values keyed by name
+   * @param {string} [languageCode] - Language code (defaults to the template's first language)
    * @returns {Promise<Object>}
    */
-  async sendTypingIndicator(to, typing = true, messageId = null) {
+  async sendTemplate(to, templateName, params = {}, languageCode = null) {
+    const normalizedTo = normalizePhoneNumber(to);
+    const template = buildTemplate(templateName, params, languageCode);
+
+    return this.send({
+      messaging_product: 'whatsapp',
+      recipient_type: 'individual',
+      to: normalizedTo,
+      type: 'template',
+      template
+    });
+  }
+
+  /**
+   * Mark an incoming message as read and show "typing..." in WhatsApp
+   * The indicator disappears when we reply or after 25 seconds, whichever comes first
+   * @param {string} to - Recipient phone number (for logging)
+   * @param {string} messageId - ID of the incoming message being answered
+   * @returns {Promise<{success: boolean, error?: string, errorCode?: number}>}
+   */
+  async sendTypingIndicator(to, messageId) {
     const normalizedTo = normalizePhoneNumber(to);
     const phoneNumberDisplay = formatPhoneNumber(normalizedTo);
 
     // Test mode: Skip actual API call in development
-    if (config.isDev && !config.whatsapp.accessToken) {
+    if (this._isTestMode()) {
       logger.info('🧪 TEST MODE: Skipping typing indicator', {
         to: phoneNumberDisplay,
-        typing,
         messageId
       });
       return { success: true };
@@ -450,42 +970,34 @@ class WhatsAppClient {
       logger.info('📝 Sending typing indicator', {
         to: phoneNumberDisplay,
         normalized: normalizedTo,
-        typing,
-        messageId,
-        hasMessageId: !!messageId
+        messageId
       });
 
       const payload = {
         messaging_product: 'whatsapp',
-        recipient_type: 'individual',
-        to: normalizedTo,
-        type: 'typing',
-        typing: typing
+        status: 'read',
+        message_id: messageId,
+        typing_indicator: {
+          type: 'text'
+        }
       };
 
-      // Include message_id if provided (some API versions require it)
-      if (messageId) {
-        payload.context = {
-          message_id: messageId
-        };
-      }
-
       logger.debug('Typing indicator payload', {
         payload: JSON.stringify(payload, null, 2)
       });
 
-      const response = await axios.post(this.baseUrl, payload, {
-        headers: this._getHeaders()
+      const tenant = tenants.currentTenant();
+      const response = await axios.post(this._messagesUrl(tenant), payload, {
+        headers: this._getHeaders(tenant)
       });
 
       logger.info('✅ Typing indicator sent successfully', {
         to: phoneNumberDisplay,
-        typing,
         status: response.status,
         responseData: JSON.stringify(response.data, null, 2)
       });
 
-      return response.data;
+      return { success: response.data?.success !== false };
     } catch (error) {
       // Don't throw errors for typing indicators - they're not critical
       // Just log and continue
@@ -495,7 +1007,6 @@ class WhatsAppClient {
       
       logger.warn('⚠️ Failed to send typing indicator (non-critical)', {
         to: phoneNumberDisplay,
-        typing,
         messageId,
         errorCode,
         errorMessage,
@@ -505,6 +1016,131 @@ class WhatsAppClient {
       return { success: false, error: errorMessage, errorCode };
     }
   }
+
+  /**
+   * Get media metadata (temporary download URL, MIME type, size) from the Graph media endpoint
+   * @param {string} mediaId - Media ID from an incoming message
+   * @returns {Promise<{url: string, mime_type: string, file_size: number, id: string}>}
+   */
+  async getMediaInfo(mediaId) {
+    const response = await axios.get(`${config.whatsapp.apiUrl}/${mediaId}`, {
+      headers: this._getHeaders()
+    });
+    return response.data;
+  }
+
+  /**
+   * Download media sent by a user (voice notes, images, documents)
+   * @param {string} mediaId - Media ID from an incoming message
+   * @returns {Promise<{buffer: Buffer, mimeType: string, fileSize: number}>}
+   */
+  async downloadMedia(mediaId) {
+    // Test mode: Skip actual API call in development
+    if (this._isTestMode()) {
+      logger.info('🧪 TEST MODE: Skipping media download', { mediaId });
+      return { buffer: Buffer.alloc(0), mimeType: null, fileSize: 0 };
+    }
+
+    try {
+      const info = await this.getMediaInfo(mediaId);
+
+      logger.debug('Downloading WhatsApp media', {
+        mediaId,
+        mimeType: info.mime_type,
+        fileSize: info.file_size
+      });
+
+      // The media URL also requires the access token
+      const response = await axios.get(info.url, {
+        headers: this._getHeaders(),
+        responseType: 'arraybuffer'
+      });
+
+      logger.info('✅ WhatsApp media downloaded', {
+        mediaId,
+        mimeType: info.mime_type,
+        bytes: response.data?.byteLength
+      });
+
+      return {
+        buffer: Buffer.from(response.data),
+        mimeType: info.mime_type,
+        fileSize: info.file_size
+      };
+    } catch (error) {
+      const errorData = error.response?.data?.error || {};
+      logger.error('❌ Failed to download WhatsApp media', {
+        mediaId,
+        status: error.response?.status,
+        errorCode: errorData.code,
+        errorMessage: errorData.message || error.message
+      });
+
+      if (this._isTokenError(error)) {
+        const customError = new Error(`WhatsApp access token expired or invalid. Error: ${errorData.message || error.message}`);
+        customError.code = errorData.code || 190;
+        customError.isTokenError = true;
+        customError.originalMessage = errorData.message || error.message;
+        throw customError;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Upload media to WhatsApp so it can be sent by ID instead of link
+   * @param {Buffer} buffer - File contents
+   * @param {string} mimeType - MIME type (must be supported by WhatsApp for its media type)
+   * @param {string} [filename] - File name shown for documents
+   * @returns {Promise<string>} Media ID
+   */
+  async uploadMedia(buffer, mimeType, filename = 'file') {
+    // Test mode: Skip actual API call in development
+    if (this._isTestMode()) {
+      const testMediaId = `test_media_${Date.now()}`;
+      logger.info('🧪 TEST MODE: Skipping media upload', { mediaId: testMediaId, mimeType, bytes: buffer.length });
+      return testMediaId;
+    }
+
+    const form = new FormData();
+    form.append('messaging_product', 'whatsapp');
+    form.append('type', mimeType);
+    form.append('file', new Blob([buffer], { type: mimeType }), filename);
+
+    try {
+      // Media IDs only work for the number that uploaded them
+      const tenant = tenants.currentTenant();
+      const response = await axios.post(`${config.whatsapp.apiUrl}/${tenant.phoneNumberId}/media`, form, {
+        headers: { 'Authorization': this._getHeaders(tenant).Authorization }
+      });
+
+      logger.info('✅ WhatsApp media uploaded', {
+        mediaId: response.data?.id,
+        mimeType,
+        bytes: buffer.length
+      });
+
+      return response.data.id;
+    } catch (error) {
+      const errorData = error.response?.data?.error || {};
+      logger.error('❌ Failed to upload WhatsApp media', {
+        mimeType,
+        bytes: buffer.length,
+        status: error.response?.status,
+        errorCode: errorData.code,
+        errorMessage: errorData.message || error.message
+      });
+
+      if (this._isTokenError(error)) {
+        const customError = new Error(`WhatsApp access token expired or invalid. Error: ${errorData.message || error.message}`);
+        customError.code = errorData.code || 190;
+        customError.isTokenError = true;
+        customError.originalMessage = errorData.message || error.message;
+        throw customError;
+      }
+      throw error;
+    }
+  }
 }
 
 module.exports = new WhatsAppClient();
@@ -0,0 +1,146 @@
+/**
+ * WhatsApp Media Service
+ * Uploads Myra images to WhatsApp and caches the resulting media IDs
+ *
+ * Sending by link makes WhatsApp fetch the image itself, which fails when the CDN is slow
+ * or serves a wrong content-type. We download and validate the image once, upload it via
+ * the media endpoint and reuse the media ID for every later send of the same URL.
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const config = require('../config');
+const logger = require('../utils/logger');
+const createStore = require('../session/createStore');
+const whatsappClient = require('./client');
+const tenants = require('./tenants');
+
+// WhatsApp Cloud API limits for image messages
+const IMAGE_MIME_TYPES = ['image/jpeg', 'image/png'];
+const MAX_IMAGE_BYTES = 5 * 1024 * 1024;
+
+// Magic numbers - CDNs often send application/octet-stream or nothing at all
+const SIGNATURES = [
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] },
+  { mimeType: 'image/webp', bytes: [0x52, 0x49, 0x46, 0x46] }
+];
+
+// Media ID per tenant and image URL hash (media IDs belong to the uploading number)
+const mediaCache = createStore({
+  ttlMinutes: config.media.cacheTtlMinutes,
+  namespace: 'media'
+});
+
+// Uploads in progress, so parallel sends of the same image upload it once
+const pendingUploads = new Map();
+
+/**
+ * Cache key for an image URL
+ * @param {string} url
+ * @returns {string}
+ */
+function hashUrl(url) {
+  return crypto.createHash('sha256').update(url).digest('hex');
+}
+
+/**
+ * Detect the MIME type from the file contents
+ * @param {Buffer} buffer
+ * @returns {string|null}
+ */
+function sniffMimeType(buffer) {
+  const match = SIGNATURES.find(signature =>
+    signature.bytes.every((byte, i) => buffer[i] === byte));
+  return match ? match.mimeType : null;
+}
+
+/**
+ * Download an image and check it against WhatsApp's limits
+ * @param {string} url
+ * @returns {Promise<{buffer: Buffer, mimeType: string}>}
+ */
+async function downloadImage(url) {
+  const response = await axios.get(url, {
+    responseType: 'arraybuffer',
+    timeout: config.media.downloadTimeoutMs,
+    // Stop reading as soon as the image is too big to send
+    maxContentLength: MAX_IMAGE_BYTES
+  });
+
+  const buffer = Buffer.from(response.data);
+  const headerType = (response.headers['content-type'] || '').split(';')[0].trim().toLowerCase();
+  const mimeType = sniffMimeType(buffer) || headerType;
+
+  if (!IMAGE_MIME_TYPES.includes(mimeType)) {
+    throw new Error(`Unsupported image type "${mimeType || 'unknown'}" (WhatsApp accepts ${IMAGE_MIME_TYPES.join(', ')})`);
+  }
+
+  if (buffer.length === 0 || buffer.length > MAX_IMAGE_BYTES) {
+    throw new Error(`Image size ${buffer.length} bytes is outside WhatsApp's limit of ${MAX_IMAGE_BYTES} bytes`);
+  }
+
+  return { buffer, mimeType };
+}
+
+/**
+ * Download, validate and upload an image, caching its media ID
+ * @param {string} url - Image URL
+ * @returns {Promise<string>} Media ID
+ */
+async function uploadImage(url) {
+  const key = tenants.scopeKey(hashUrl(url));
+  const cached = await mediaCache.get(key);
+  if (cached?.mediaId) {
+    logger.debug('Using cached WhatsApp media ID', { url, mediaId: cached.mediaId });
+    return cached.mediaId;
+  }
+
+  if (pendingUploads.has(key)) {
+    return pendingUploads.get(key);
+  }
+
+  const upload = (async () => {
+    const { buffer, mimeType } = await downloadImage(url);
+    const mediaId = await whatsappClient.uploadMedia(buffer, mimeType, `image.${mimeType.split('/')[1]}`);
+    await mediaCache.set(key, { mediaId, url, mimeType, bytes: buffer.length, uploadedAt: Date.now() });
+    return mediaId;
+  })();
+
+  pendingUploads.set(key, upload);
+  try {
+    return await upload;
+  } finally {
+    pendingUploads.delete(key);
+  }
+}
+
+/**
+ * Resolve an image URL to what the client should send
+ * Falls back to the plain link if the upload fails, so a card is never lost
+ * @param {string} url - Image URL from Myra
+ * @returns {Promise<string|{id: string}>} Uploaded media ({ id }) or the original URL
+ */
+async function resolveImage(url) {
+  if (!config.media.uploadImages || !url) {
+    return url;
+  }
+
+  try {
+    return { id: await uploadImage(url) };
+  } catch (error) {
+    // Auth problems affect every send - let the orchestrator report them
+    if (error.isTokenError) {
+      throw error;
+    }
+
+    logger.warn('⚠️ Image upload failed, sending by link', { url, error: error.message });
+    return url;
+  }
+}
+
+module.exports = {
+  resolveImage,
+  uploadImage
+};
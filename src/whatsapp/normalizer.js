@@ -9,40 +9,119 @@ const logger = require('../utils/logger');
  * @typedef {Object} NormalizedMessage
  * @property {string} userId - WhatsApp phone number
  * @property {string} messageId - WhatsApp message ID
- * @property {'text'|'button'|'list'|'unknown'} type - Message type
+ * @property {'text'|'button'|'list'|'location'|'audio'|'image'|'document'|'unknown'} type - Message type
  * @property {string} [text] - Text content (for text messages)
  * @property {string} [buttonId] - Button ID (for button replies)
  * @property {string} [buttonText] - Button text (for button replies)
  * @property {string} [listId] - List row ID (for list selections)
  * @property {string} [listTitle] - List row title (for list selections)
+ * @property {SharedLocation} [location] - Shared location (for location messages)
+ * @property {MediaReference} [media] - Media reference (for audio, image and document messages)
  * @property {number} timestamp - Message timestamp
+ * @property {string|null} replyTo - ID of our message the user quoted, if any
+ * @property {string|null} phoneNumberId - Our business number that received the message (tenant)
  */
 
 /**
- * Normalize WhatsApp webhook message to internal format
+ * @typedef {Object} SharedLocation
+ * @property {number} latitude
+ * @property {number} longitude
+ * @property {string|null} name - Place name (pinned locations only)
+ * @property {string|null} address - Place address (pinned locations only)
+ */
+
+/**
+ * @typedef {Object} MediaReference
+ * @property {string} id - WhatsApp media ID (download via WhatsAppClient.downloadMedia)
+ * @property {string} mimeType - Media MIME type
+ * @property {boolean} [voice] - True for recorded voice notes (audio only)
+ * @property {string|null} [caption] - Text sent along with the media (image/document only)
+ * @property {string|null} [filename] - Original file name (document only)
+ */
+
+/**
+ * @typedef {Object} NormalizedStatus
+ * @property {string} messageId - Outbound WhatsApp message ID
+ * @property {string} recipientId - Recipient phone number
+ * @property {'sent'|'delivered'|'read'|'failed'} status
+ * @property {number} timestamp - Status timestamp (ms)
+ * @property {Array<{code: number, title: string, message: string|null}>} errors - Set on failed
+ * @property {string|null} phoneNumberId - Our business number that sent the message (tenant)
+ */
+
+/**
+ * Collect every change value in a webhook payload
+ * Meta can batch several entries, each with several changes, into one POST
+ * @param {Object} webhookBody - WhatsApp webhook payload
+ * @returns {Array<Object>}
+ */
+function getChangeValues(webhookBody) {
+  const values = [];
+  
+  for (const entry of webhookBody?.entry || []) {
+    for (const change of entry?.changes || []) {
+      if (change?.value) {
+        values.push(change.value);
+      }
+    }
+  }
+  
+  return values;
+}
+
+/**
+ * Normalize every message in a WhatsApp webhook payload
+ * @param {Object} webhookBody - WhatsApp webhook payload
+ * @returns {Array<NormalizedMessage>} Messages in payload order
+ */
+function normalizeMessages(webhookBody) {
+  const normalized = [];
+  
+  for (const value of getChangeValues(webhookBody)) {
+    for (const message of value.messages || []) {
+      // Contacts are listed per change - match the sender rather than assuming index 0
+      const contact = value.contacts?.find(c => c.wa_id === message.from) || value.contacts?.[0];
+      const normalizedMessage = normalizeSingleMessage(message, contact, value.metadata);
+      if (normalizedMessage) {
+        normalized.push(normalizedMessage);
+      }
+    }
+  }
+  
+  if (normalized.length === 0) {
+    logger.debug('No message in webhook payload');
+  }
+  
+  return normalized;
+}
+
+/**
+ * Normalize the first message of a WhatsApp webhook payload
+ * Prefer normalizeMessages() - a single webhook can carry several messages
  * @param {Object} webhookBody - WhatsApp webhook payload
  * @returns {NormalizedMessage|null}
  */
 function normalizeMessage(webhookBody) {
+  return normalizeMessages(webhookBody)[0] || null;
+}
+
+/**
+ * Normalize a single WhatsApp message object to internal format
+ * @param {Object} message - Message object from webhook value.messages
+ * @param {Object} [contact] - Matching contact from webhook value.contacts
+ * @param {Object} [metadata] - Webhook value.metadata (receiving business number)
+ * @returns {NormalizedMessage|null}
+ */
+function normalizeSingleMessage(message, contact, metadata) {
   try {
-    // Extract the message from webhook structure
-    const entry = webhookBody?.entry?.[0];
-    const changes = entry?.changes?.[0];
-    const value = changes?.value;
-    
-    if (!value?.messages?.[0]) {
-      logger.debug('No message in webhook payload');
-      return null;
-    }
-    
-    const message = value.messages[0];
-    const contact = value.contacts?.[0];
-    
     const base = {
       userId: message.from,
       messageId: message.id,
       timestamp: parseInt(message.timestamp, 10) * 1000,
-      userName: contact?.profile?.name || null
+      userName: contact?.profile?.name || null,
+      // Set when the user quoted (long-press → Reply) one of our messages
+      replyTo: message.context?.id || null,
+      phoneNumberId: metadata?.phone_number_id || null
     };
     
     // Handle different message types
@@ -66,6 +145,57 @@ function normalizeMessage(webhookBody) {
           buttonText: message.button?.text
         };
         
+      case 'location':
+        return normalizeLocation(base, message.location);
+        
+      case 'audio':
+        // Voice notes and forwarded audio files
+        return {
+          ...base,
+          type: 'audio',
+          media: {
+            id: message.audio?.id,
+            mimeType: message.audio?.mime_type || null,
+            voice: !!message.audio?.voice
+          }
+        };
+        
+      case 'image':
+        // Screenshots and photos, optionally with a caption
+        return {
+          ...base,
+          type: 'image',
+          media: {
+            id: message.image?.id,
+            mimeType: message.image?.mime_type || null,
+            caption: message.image?.caption || null
+          }
+        };
+        
+      case 'reaction':
+        // Emoji reaction on a message - an empty emoji means the reaction was removed
+        return {
+          ...base,
+          type: 'reaction',
+          reaction: {
+            messageId: message.reaction?.message_id,
+            emoji: message.reaction?.emoji || null
+          }
+        };
+        
+      case 'document':
+        // PDFs and other files (tickets, invoices)
+        return {
+          ...base,
+          type: 'document',
+          media: {
+            id: message.document?.id,
+            mimeType: message.document?.mime_type || null,
+            caption: message.document?.caption || null,
+            filename: message.document?.filename || null
+          }
+        };
+        
       default:
         logger.warn(`Unknown message type: ${message.type}`);
         return {
@@ -75,7 +205,7 @@ function normalizeMessage(webhookBody) {
         };
     }
   } catch (error) {
-    logger.error('Error normalizing message', { error: error.message });
+    logger.error('Error normalizing message', { error: error.message, messageId: message?.id });
     return null;
   }
 }
@@ -115,16 +245,85 @@ function normalizeInteractive(base, interactive) {
 }
 
 /**
- * Check if webhook is a status update (not a message)
+ * Normalize location message (current or pinned location)
+ * @param {Object} base - Base message properties
+ * @param {Object} location - Location object from WhatsApp
+ * @returns {NormalizedMessage}
+ */
+function normalizeLocation(base, location) {
+  const latitude = parseFloat(location?.latitude);
+  const longitude = parseFloat(location?.longitude);
+  
+  if (isNaN(latitude) || isNaN(longitude)) {
+    logger.warn('Location message without valid coordinates');
+    return { ...base, type: 'unknown' };
+  }
+  
+  return {
+    ...base,
+    type: 'location',
+    location: {
+      latitude,
+      longitude,
+      name: location.name || null,
+      address: location.address || null
+    }
+  };
+}
+
+/**
+ * Extract every status update (sent/delivered/read/failed) in a webhook payload
+ * @param {Object} webhookBody
+ * @returns {Array<Object>} Raw status objects in payload order, tagged with the
+ *   business number of their change (phone_number_id)
+ */
+function extractStatuses(webhookBody) {
+  const statuses = [];
+  
+  for (const value of getChangeValues(webhookBody)) {
+    for (const status of value.statuses || []) {
+      statuses.push({ ...status, phone_number_id: value.metadata?.phone_number_id });
+    }
+  }
+  
+  return statuses;
+}
+
+/**
+ * Convert a raw status object to canonical format
+ * @param {Object} status - Raw status from extractStatuses()
+ * @returns {NormalizedStatus}
+ */
+function normalizeStatus(status) {
+  return {
+    messageId: status.id,
+    recipientId: status.recipient_id,
+    status: status.status,
+    timestamp: parseInt(status.timestamp, 10) * 1000 || Date.now(),
+    errors: (status.errors || []).map(error => ({
+      code: error.code,
+      title: error.title,
+      message: error.error_data?.details || error.message || null
+    })),
+    phoneNumberId: status.phone_number_id || null
+  };
+}
+
+/**
+ * Check if webhook only carries status updates (no messages in any change)
  * @param {Object} webhookBody
  * @returns {boolean}
  */
 function isStatusUpdate(webhookBody) {
-  const value = webhookBody?.entry?.[0]?.changes?.[0]?.value;
-  return value?.statuses && !value?.messages;
+  const values = getChangeValues(webhookBody);
+  return values.some(value => value.statuses?.length > 0) &&
+         !values.some(value => value.messages?.length > 0);
 }
 
 module.exports = {
   normalizeMessage,
+  normalizeMessages,
+  extractStatuses,
+  normalizeStatus,
   isStatusUpdate
 };
@@ -0,0 +1,121 @@
+/**
+ * Outbound Message Queue
+ * Sends messages to each recipient strictly one at a time, in order
+ *
+ * The Cloud API accepting a message doesn't mean it reaches the phone first - an image
+ * can arrive after the text sent right behind it. Each message therefore waits until the
+ * previous one is acknowledged by the API and (optionally) its "sent" status webhook
+ * arrives, with a timeout so a missing webhook never stalls the queue.
+ */
+
+const logger = require('../utils/logger');
+
+// How long to remember statuses that arrive before we started waiting for them
+const EARLY_STATUS_TTL_MS = 60000;
+
+class OutboundQueue {
+  /**
+   * @param {Object} [options]
+   * @param {boolean} [options.waitForSentStatus] - Wait for the "sent" status webhook before the next message
+   * @param {number} [options.ackTimeoutMs] - Max wait for the status webhook
+   */
+  constructor(options = {}) {
+    this.waitForSentStatus = options.waitForSentStatus !== false;
+    this.ackTimeoutMs = options.ackTimeoutMs || 3000;
+    this.chains = new Map();
+    this.waiters = new Map();
+    this.earlyStatuses = new Map();
+  }
+
+  /**
+   * Queue a send for a recipient
+   * @param {string} recipient - Normalized phone number
+   * @param {Function} sendFn - Async function performing the API call, resolves with the API response
+   * @returns {Promise<Object>} API response
+   */
+  enqueue(recipient, sendFn) {
+    const previous = this.chains.get(recipient) || Promise.resolve();
+
+    // A failed message must not block the ones behind it
+    const run = previous.then(() => this._run(sendFn));
+    const tail = run.catch(() => {});
+
+    this.chains.set(recipient, tail);
+    tail.then(() => {
+      if (this.chains.get(recipient) === tail) {
+        this.chains.delete(recipient);
+      }
+    });
+
+    return run;
+  }
+
+  /**
+   * Send one message and wait for its acknowledgement
+   * @param {Function} sendFn
+   * @returns {Promise<Object>}
+   */
+  async _run(sendFn) {
+    const response = await sendFn();
+    const messageId = response?.messages?.[0]?.id;
+
+    // Test mode IDs never get status webhooks
+    if (this.waitForSentStatus && messageId && !messageId.startsWith('test_')) {
+      await this._waitForStatus(messageId);
+    }
+
+    return response;
+  }
+
+  /**
+   * Wait for any status webhook for a message (or time out)
+   * @param {string} messageId
+   * @returns {Promise<boolean>} true if the status arrived
+   */
+  _waitForStatus(messageId) {
+    if (this.earlyStatuses.has(messageId)) {
+      this.earlyStatuses.delete(messageId);
+      return Promise.resolve(true);
+    }
+
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        this.waiters.delete(messageId);
+        logger.debug('No status webhook before ack timeout, sending next message', {
+          messageId,
+          ackTimeoutMs: this.ackTimeoutMs
+        });
+        resolve(false);
+      }, this.ackTimeoutMs);
+
+      this.waiters.set(messageId, () => {
+        clearTimeout(timer);
+        this.waiters.delete(messageId);
+        resolve(true);
+      });
+    });
+  }
+
+  /**
+   * Feed a status webhook (sent/delivered/read/failed) - releases the next queued message
+   * @param {Object} status - Raw status object from the webhook
+   */
+  handleStatus(status) {
+    const waiter = this.waiters.get(status?.id);
+    if (waiter) {
+      waiter();
+      return;
+    }
+
+    // Webhook beat the API response - remember it briefly
+    const now = Date.now();
+    this.earlyStatuses.set(status.id, now);
+    for (const [messageId, seenAt] of this.earlyStatuses) {
+      if (now - seenAt > EARLY_STATUS_TTL_MS) {
+        this.earlyStatuses.delete(messageId);
+      }
+    }
+  }
+}
+
+module.exports = OutboundQueue;
@@ -1,18 +1,21 @@
 /**
  * WhatsApp Message Renderer
- * Converts Myra AI responses to WhatsApp message format
+ * Converts Myra AI responses to WhatsApp message format, sent through the current channel
  */
 
-const whatsappClient = require('./client');
+const channels = require('../channels');
 const logger = require('../utils/logger');
 
+// Label of the native booking button (WhatsApp limit: 20 characters)
+const BOOKING_CTA_TEXT = 'Book on MakeMyTrip';
+
 /**
  * Render Myra AI response to WhatsApp messages
  * @param {string} to - Recipient phone number
  * @param {Object} myraResponse - Response from Myra AI
  * @param {Object} [carouselItem] - Current carousel item if in carousel mode
  * @param {Object} [carouselMeta] - Carousel metadata (index, total)
- * @returns {Promise<void>}
+ * @returns {Promise<{initCarousel: true, items: Array}|{cardMessages: Array}|undefined>}
  */
 async function renderResponse(to, myraResponse, carouselItem = null, carouselMeta = null) {
   try {
@@ -25,18 +28,19 @@ async function renderResponse(to, myraResponse, carouselItem = null, carouselMet
     // Handle product cards with images (hotels, flights, buses, packages, etc.)
     // Priority - most visual content
     if (myraResponse.hotelCards && myraResponse.hotelCards.length > 0) {
-      await renderHotelCards(to, myraResponse.hotelCards, myraResponse.text);
+      const cardMessages = await renderHotelCards(to, myraResponse.hotelCards, myraResponse.text);
       // Render suggestions after products if available
       if (myraResponse.suggestions && myraResponse.suggestions.length > 0) {
-        await renderSuggestions(to, myraResponse.suggestions);
+        await renderSuggestions(to, myraResponse.suggestions, myraResponse.suggestionTurn);
       }
-      return;
+      // Lets the orchestrator resolve quoted replies to the product they show
+      return { cardMessages };
     }
 
     // Send intro text if present (make it concise)
     if (myraResponse.text || myraResponse.leadingQuestion) {
       const text = formatTextMessage(myraResponse.text || myraResponse.leadingQuestion);
-      await whatsappClient.sendText(to, text);
+      await channels.current().sendText(to, text);
     }
 
     // Handle items array (potential carousel)
@@ -57,7 +61,7 @@ async function renderResponse(to, myraResponse, carouselItem = null, carouselMet
 
     // Handle suggestions array
     if (myraResponse.suggestions && myraResponse.suggestions.length > 0) {
-      await renderSuggestions(to, myraResponse.suggestions);
+      await renderSuggestions(to, myraResponse.suggestions, myraResponse.suggestionTurn);
     }
 
   } catch (error) {
@@ -98,13 +102,19 @@ async function renderCarouselItem(to, item, meta) {
   if (index < total - 1) {
     buttons.push({ id: 'carousel_next', title: 'Next ▶️' });
   }
+
+  // Map button (only fits when one of the navigation buttons is absent)
+  if (item.coordinates && buttons.length < 3) {
+    buttons.push({ id: `map_${item.id}`, title: '📍 Map' });
+  }
   
   // Send image with buttons if image exists
   if (item.image) {
-    await whatsappClient.sendImageWithButtons(to, item.image, caption, buttons);
+    const image = await channels.current().resolveImage(item.image);
+    await channels.current().sendImageWithButtons(to, image, caption, buttons);
   } else {
     // Fallback to text with buttons
-    await whatsappClient.sendButtons(to, caption, buttons);
+    await channels.current().sendButtons(to, caption, buttons);
   }
 }
 
@@ -160,7 +170,7 @@ async function renderItemsAsList(to, items) {
     }))
   }];
   
-  await whatsappClient.sendList(
+  await channels.current().sendList(
     to,
     'Here are your options. Tap below to view:',
     'View Options',
@@ -179,21 +189,40 @@ async function renderActionsAsButtons(to, actions) {
     title: action.label
   }));
   
-  await whatsappClient.sendButtons(to, 'What would you like to do?', buttons);
+  await channels.current().sendButtons(to, 'What would you like to do?', buttons);
 }
 
 /**
- * Render suggestions as quick reply buttons
+ * Render suggestions as quick reply buttons (up to 3) or a list
+ * Button/row IDs carry the turn and index - the orchestrator resolves them to the full text
  * @param {string} to
- * @param {Array<string>} suggestions
+ * @param {Array<{text: string, url: string|null}>} suggestions - See logic/suggestions.js
+ * @param {number} turn - session.suggestionTurn the suggestions were stored under
  */
-async function renderSuggestions(to, suggestions) {
-  const buttons = suggestions.slice(0, 3).map((suggestion, i) => ({
-    id: `suggestion_${i}`,
-    title: suggestion.slice(0, 20)
-  }));
-  
-  await whatsappClient.sendButtons(to, 'You might also want to explore:', buttons);
+async function renderSuggestions(to, suggestions, turn) {
+  const suggestionId = i => `suggestion_${turn}_${i}`;
+
+  if (suggestions.length <= 3) {
+    const buttons = suggestions.map((suggestion, i) => ({
+      id: suggestionId(i),
+      title: suggestion.text.slice(0, 20)
+    }));
+
+    await channels.current().sendButtons(to, 'You might also want to explore:', buttons);
+    return;
+  }
+
+  const sections = [{
+    title: 'Suggestions',
+    rows: suggestions.slice(0, 10).map((suggestion, i) => ({
+      id: suggestionId(i),
+      title: suggestion.text.slice(0, 24),
+      // Full text when the title had to be cut
+      description: suggestion.text.length > 24 ? suggestion.text.slice(0, 72) : ''
+    }))
+  }];
+
+  await channels.current().sendList(to, 'You might also want to explore:', 'Suggestions', sections);
 }
 
 /**
@@ -222,41 +251,101 @@ function formatTextMessage(text) {
  * @param {string} to - Recipient phone number
  * @param {Array} hotelCards - Array of hotel card objects
  * @param {string} introText - Optional introductory text
+ * @returns {Promise<Array<{messageId: string, productId: string}>>} Outbound message ID of each card
  */
 async function renderHotelCards(to, hotelCards, introText = null) {
+  const cardMessages = [];
+  const remember = (response, product) => {
+    const messageId = response?.messages?.[0]?.id;
+    if (messageId) {
+      cardMessages.push({ messageId, productId: product.id });
+    }
+  };
+
   // Send concise intro if provided
   if (introText) {
     const formattedIntro = formatTextMessage(introText);
-    await whatsappClient.sendText(to, formattedIntro);
-    // Small delay to ensure message order
-    await new Promise(resolve => setTimeout(resolve, 500));
+    await channels.current().sendText(to, formattedIntro);
   }
   
   // Send loading message if we have multiple products
   if (hotelCards.length > 1) {
-    await whatsappClient.sendText(to, '⏳ Loading more options for you...');
-    await new Promise(resolve => setTimeout(resolve, 800));
+    await channels.current().sendText(to, '⏳ Loading more options for you...');
   }
   
-  // Send each product as an image with formatted caption and clickable booking link
+  // Send each product as an image card with a booking button
+  // (the client's outbound queue keeps them in order - no delays needed)
   for (let i = 0; i < hotelCards.length; i++) {
     const product = hotelCards[i];
-    // Include booking link directly in caption (WhatsApp makes it clickable)
+
+    if (product.image && product.bookingLink) {
+      // Native "Book on MakeMyTrip" button under the image instead of a raw link
+      const image = await channels.current().resolveImage(product.image);
+      const body = buildProductCaption(product, i + 1, hotelCards.length, false);
+      remember(await channels.current().sendCtaUrl(to, body, BOOKING_CTA_TEXT, product.bookingLink, { image }), product);
+      continue;
+    }
+
+    // cta_url needs a header image for a card - otherwise the link goes in the caption
+    // (WhatsApp makes it clickable)
     const caption = buildProductCaption(product, i + 1, hotelCards.length, true);
     
     if (product.image) {
       // Send image with caption (booking link in caption is clickable)
-      await whatsappClient.sendImage(to, product.image, caption);
+      const image = await channels.current().resolveImage(product.image);
+      remember(await channels.current().sendImage(to, image, caption), product);
     } else {
       // No image - send text with clickable booking link
-      await whatsappClient.sendText(to, caption);
-    }
-    
-    // Small delay between messages to avoid rate limiting
-    if (i < hotelCards.length - 1) {
-      await new Promise(resolve => setTimeout(resolve, 800));
+      remember(await channels.current().sendText(to, caption), product);
     }
   }
+
+  await renderMapOptions(to, hotelCards);
+  return cardMessages;
+}
+
+/**
+ * Offer a "📍 Map" button for the cards that have coordinates
+ * (cta_url cards can't carry extra buttons, so this is one message after the cards)
+ * @param {string} to - Recipient phone number
+ * @param {Array} products - Product cards
+ * @returns {Promise<void>}
+ */
+async function renderMapOptions(to, products) {
+  // WhatsApp lists hold at most 10 rows
+  const mappable = products.filter(product => product.coordinates).slice(0, 10);
+
+  if (mappable.length === 0) {
+    return;
+  }
+
+  if (mappable.length === 1) {
+    await channels.current().sendButtons(to,
+      `📍 See where *${mappable[0].title || 'this place'}* is on the map`,
+      [{ id: `map_${mappable[0].id}`, title: '📍 Map' }]
+    );
+    return;
+  }
+
+  await channels.current().sendList(to, '📍 Want to see where they are? Pick one to get its location pin.', '📍 Map', [{
+    title: 'Locations',
+    rows: mappable.map(product => ({
+      id: `map_${product.id}`,
+      title: (product.title || 'Location').slice(0, 24),
+      description: product.location?.slice(0, 72) || undefined
+    }))
+  }]);
+}
+
+/**
+ * Send a product's booking link as a native button
+ * @param {string} to - Recipient phone number
+ * @param {Object} product - Product with a bookingLink
+ * @param {string} bodyText - Message body
+ * @returns {Promise<Object>}
+ */
+async function renderBookingLink(to, product, bodyText) {
+  return channels.current().sendCtaUrl(to, bodyText, BOOKING_CTA_TEXT, product.bookingLink);
 }
 
 /**
@@ -441,5 +530,6 @@ module.exports = {
   renderCarouselItem,
   buildItemCaption,
   renderHotelCards,
+  renderBookingLink,
   buildProductCaption
 };
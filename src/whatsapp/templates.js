@@ -0,0 +1,227 @@
+/**
+ * WhatsApp Message Templates
+ * Registry of our approved templates and their parameter schemas
+ *
+ * Templates are the only way to message a user outside the 24-hour customer service
+ * window. Parameters are validated here so mistakes surface before the Graph API call.
+ */
+
+// Graph API limits for text parameters
+const MAX_HEADER_TEXT_LENGTH = 60;
+const MAX_BODY_TEXT_LENGTH = 1024;
+
+/**
+ * @typedef {Object} TemplateParam
+ * @property {string} name - Key in the params object passed to sendTemplate
+ * @property {'text'|'currency'|'image'|'document'|'payload'} type
+ */
+
+/**
+ * @typedef {Object} TemplateButton
+ * @property {'url'|'quick_reply'} subType
+ * @property {number} index - Button position as approved in WhatsApp Manager
+ * @property {Array<TemplateParam>} params
+ */
+
+/**
+ * @typedef {Object} TemplateDefinition
+ * @property {Array<string>} languages - Approved language codes (first is the default)
+ * @property {Array<TemplateParam>} [header]
+ * @property {Array<TemplateParam>} [body]
+ * @property {Array<TemplateButton>} [buttons]
+ */
+
+/**
+ * Approved templates - keep in sync with WhatsApp Manager
+ * @type {Object<string, TemplateDefinition>}
+ */
+const TEMPLATES = {
+  // Generic nudge used when a free-form reply can't be sent because the window closed
+  conversation_reopen: {
+    languages: ['en', 'hi']
+  },
+
+  booking_reminder: {
+    languages: ['en', 'hi'],
+    header: [{ name: 'hotelName', type: 'text' }],
+    body: [
+      { name: 'guestName', type: 'text' },
+      { name: 'hotelName', type: 'text' },
+      { name: 'checkInDate', type: 'text' },
+      { name: 'bookingId', type: 'text' }
+    ],
+    buttons: [
+      { subType: 'url', index: 0, params: [{ name: 'bookingId', type: 'text' }] }
+    ]
+  },
+
+  price_drop_alert: {
+    languages: ['en', 'hi'],
+    header: [{ name: 'imageUrl', type: 'image' }],
+    body: [
+      { name: 'hotelName', type: 'text' },
+      { name: 'oldPrice', type: 'currency' },
+      { name: 'newPrice', type: 'currency' }
+    ],
+    buttons: [
+      { subType: 'url', index: 0, params: [{ name: 'hotelId', type: 'text' }] },
+      { subType: 'quick_reply', index: 1, params: [{ name: 'alertId', type: 'payload' }] }
+    ]
+  }
+};
+
+/**
+ * Create a template validation error (thrown before any API call)
+ * @param {string} message
+ * @param {Object} [details]
+ * @returns {Error}
+ */
+function templateError(message, details = {}) {
+  const error = new Error(message);
+  error.isTemplateValidationError = true;
+  Object.assign(error, details);
+  return error;
+}
+
+/**
+ * Build a Graph API parameter object, validating the value against its declared type
+ * @param {string} templateName
+ * @param {TemplateParam} param
+ * @param {*} value
+ * @param {number} maxTextLength
+ * @returns {Object}
+ */
+function buildParameter(templateName, param, value, maxTextLength) {
+  const fail = (reason) => templateError(
+    `Template "${templateName}" parameter "${param.name}" ${reason}`,
+    { templateName, paramName: param.name }
+  );
+
+  if (value === undefined || value === null || value === '') {
+    throw fail('is required');
+  }
+
+  switch (param.type) {
+    case 'text': {
+      const text = String(value);
+      if (text.length > maxTextLength) {
+        throw fail(`exceeds ${maxTextLength} characters`);
+      }
+      if (/[\n\t]| {5,}/.test(text)) {
+        // Graph API rejects newlines, tabs and runs of spaces in template parameters
+        throw fail('must not contain newlines, tabs or more than 4 consecutive spaces');
+      }
+      return { type: 'text', text };
+    }
+
+    case 'currency': {
+      if (typeof value !== 'object' || typeof value.amount !== 'number' || !value.code) {
+        throw fail('must be { amount: number, code: string, fallback?: string }');
+      }
+      return {
+        type: 'currency',
+        currency: {
+          fallback_value: value.fallback || `${value.code} ${value.amount}`,
+          code: value.code,
+          amount_1000: Math.round(value.amount * 1000)
+        }
+      };
+    }
+
+    case 'image':
+    case 'document': {
+      if (typeof value !== 'string' || !/^https?:\/\//.test(value)) {
+        throw fail('must be an http(s) URL');
+      }
+      return { type: param.type, [param.type]: { link: value } };
+    }
+
+    case 'payload':
+      return { type: 'payload', payload: String(value) };
+
+    default:
+      throw fail(`has unsupported type "${param.type}"`);
+  }
+}
+
+/**
+ * Validate params and build the "template" object of a Graph API message
+ * @param {string} templateName - Registered template name
+ * @param {Object} [params] - Parameter values keyed by name
+ * @param {string} [languageCode] - Language code (defaults to the template's first language)
+ * @returns {{name: string, language: {code: string}, components?: Array<Object>}}
+ */
+function buildTemplate(templateName, params = {}, languageCode = null) {
+  const definition = TEMPLATES[templateName];
+
+  if (!definition) {
+    throw templateError(`Unknown template "${templateName}"`, { templateName });
+  }
+
+  const language = languageCode || definition.languages[0];
+  if (!definition.languages.includes(language)) {
+    throw templateError(
+      `Template "${templateName}" is not approved for language "${language}" (approved: ${definition.languages.join(', ')})`,
+      { templateName, languageCode: language }
+    );
+  }
+
+  // Catch typos in parameter names
+  const known = new Set([
+    ...(definition.header || []),
+    ...(definition.body || []),
+    ...(definition.buttons || []).flatMap(button => button.params)
+  ].map(param => param.name));
+  const unknown = Object.keys(params).filter(name => !known.has(name));
+  if (unknown.length > 0) {
+    throw templateError(
+      `Template "${templateName}" has no parameter(s): ${unknown.join(', ')}`,
+      { templateName, unknownParams: unknown }
+    );
+  }
+
+  const components = [];
+
+  if (definition.header?.length) {
+    components.push({
+      type: 'header',
+      parameters: definition.header.map(param =>
+        buildParameter(templateName, param, params[param.name], MAX_HEADER_TEXT_LENGTH))
+    });
+  }
+
+  if (definition.body?.length) {
+    components.push({
+      type: 'body',
+      parameters: definition.body.map(param =>
+        buildParameter(templateName, param, params[param.name], MAX_BODY_TEXT_LENGTH))
+    });
+  }
+
+  for (const button of definition.buttons || []) {
+    components.push({
+      type: 'button',
+      sub_type: button.subType,
+      index: String(button.index),
+      parameters: button.params.map(param =>
+        buildParameter(templateName, param, params[param.name], MAX_BODY_TEXT_LENGTH))
+    });
+  }
+
+  const template = {
+    name: templateName,
+    language: { code: language }
+  };
+
+  // Templates without variables are sent without components
+  if (components.length > 0) {
+    template.components = components;
+  }
+
+  return template;
+}
+
+module.exports = {
+  TEMPLATES,
+  buildTemplate
+};
@@ -0,0 +1,85 @@
+/**
+ * WhatsApp Tenants
+ * One tenant per WhatsApp business number (brand/region), each with its own credentials
+ *
+ * The webhook picks the tenant from metadata.phone_number_id and runs the message in that
+ * tenant's context; the client sends from the current tenant's number and stores scope their
+ * keys with scopeKey(), so the same user talking to two numbers gets two separate sessions.
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+
+// Tenant built from WA_PHONE_NUMBER_ID / WA_ACCESS_TOKEN - keeps unprefixed keys
+const DEFAULT_TENANT_ID = 'default';
+
+const context = new AsyncLocalStorage();
+
+/**
+ * @typedef {Object} Tenant
+ * @property {string} id - Stable tenant ID, used to namespace stored keys
+ * @property {string} name - Display name for logs
+ * @property {string} phoneNumberId - WhatsApp business phone number ID
+ * @property {string} accessToken - Graph API token with access to that number
+ */
+
+/**
+ * Tenant used outside a tenant context (startup checks, test endpoints without a number)
+ * @returns {Tenant}
+ */
+function getDefaultTenant() {
+  return config.whatsapp.tenants[0];
+}
+
+/**
+ * Find the tenant that owns a business phone number
+ * A single-number setup answers every webhook, as before tenants existed
+ * @param {string} [phoneNumberId] - metadata.phone_number_id of the webhook
+ * @returns {Tenant|null} Null when several tenants are configured and none matches
+ */
+function resolveTenant(phoneNumberId) {
+  const tenants = config.whatsapp.tenants;
+
+  if (!phoneNumberId || tenants.length === 1) {
+    return getDefaultTenant();
+  }
+
+  return tenants.find(tenant => tenant.phoneNumberId === phoneNumberId) || null;
+}
+
+/**
+ * Run a function in a tenant's context - every send and store access inside it uses that tenant
+ * @param {Tenant} tenant
+ * @param {Function} fn
+ * @returns {*} Return value of fn
+ */
+function runWithTenant(tenant, fn) {
+  return context.run(tenant, fn);
+}
+
+/**
+ * Tenant of the message being processed
+ * @returns {Tenant}
+ */
+function currentTenant() {
+  return context.getStore() || getDefaultTenant();
+}
+
+/**
+ * Namespace a store key (user ID, cache key) by the current tenant
+ * @param {string} key
+ * @returns {string}
+ */
+function scopeKey(key) {
+  const tenant = currentTenant();
+  return tenant.id === DEFAULT_TENANT_ID ? key : `${tenant.id}:${key}`;
+}
+
+module.exports = {
+  DEFAULT_TENANT_ID,
+  getDefaultTenant,
+  resolveTenant,
+  runWithTenant,
+  currentTenant,
+  scopeKey
+};
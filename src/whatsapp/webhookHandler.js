@@ -3,10 +3,13 @@
  * Handles webhook verification and incoming messages
  */
 
+const crypto = require('crypto');
 const config = require('../config');
 const logger = require('../utils/logger');
-const { normalizeMessage, isStatusUpdate } = require('./normalizer');
+const { normalizeMessages, extractStatuses, normalizeStatus } = require('./normalizer');
 const orchestrator = require('../logic/orchestrator');
+const whatsappClient = require('./client');
+const tenants = require('./tenants');
 
 /**
  * Handle webhook verification (GET request)
@@ -29,6 +32,65 @@ function handleVerification(req, res) {
   return res.sendStatus(403);
 }
 
+/**
+ * Check an X-Hub-Signature-256 header against the raw request body
+ * @param {Buffer} rawBody - Exact request body bytes
+ * @param {string} signatureHeader - Header value ("sha256=<hex>")
+ * @param {string} appSecret - Meta app secret
+ * @returns {boolean}
+ */
+function isValidSignature(rawBody, signatureHeader, appSecret) {
+  if (!rawBody || !signatureHeader || !appSecret) {
+    return false;
+  }
+
+  const [algorithm, signature] = signatureHeader.split('=');
+  if (algorithm !== 'sha256' || !signature) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest('hex');
+  const expectedBuffer = Buffer.from(expected, 'hex');
+  const signatureBuffer = Buffer.from(signature, 'hex');
+
+  // timingSafeEqual throws on length mismatch
+  return signatureBuffer.length === expectedBuffer.length &&
+         crypto.timingSafeEqual(signatureBuffer, expectedBuffer);
+}
+
+/**
+ * Express middleware - reject webhooks without a valid X-Hub-Signature-256
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next
+ */
+function verifySignature(req, res, next) {
+  const appSecret = config.whatsapp.appSecret;
+
+  if (!appSecret) {
+    // Unsigned webhooks only with the explicit opt-out (NODE_ENV alone is too easy to forget)
+    if (config.whatsapp.skipSignature) {
+      logger.warn('⚠️ WA_SKIP_SIGNATURE=true - accepting unsigned webhook');
+      return next();
+    }
+    logger.error('❌ WA_APP_SECRET not set - rejecting webhook');
+    return res.sendStatus(401);
+  }
+
+  const signatureHeader = req.get('x-hub-signature-256');
+
+  if (!isValidSignature(req.rawBody, signatureHeader, appSecret)) {
+    logger.warn('❌ Webhook signature verification failed', {
+      hasSignature: !!signatureHeader,
+      hasRawBody: !!req.rawBody,
+      ip: req.ip
+    });
+    return res.sendStatus(401);
+  }
+
+  next();
+}
+
 /**
  * Handle incoming webhook events (POST request)
  * @param {Object} req - Express request
@@ -52,28 +114,34 @@ async function handleIncoming(req, res) {
     // Acknowledge receipt immediately (WhatsApp expects quick response)
     res.sendStatus(200);
 
-    // Check if it's just a status update
-    if (isStatusUpdate(body)) {
-      logger.debug('Status update received, ignoring');
-      return;
+    // A single webhook can batch statuses and messages from several entries/changes
+    const statuses = extractStatuses(body);
+    if (statuses.length > 0) {
+      logger.debug('Status updates received', { count: statuses.length });
+      // Any status means WhatsApp has the message - the next one to that user can go
+      statuses.forEach(status => whatsappClient.handleStatus(status));
     }
+    const statusesHandled = handleStatuses(statuses);
 
-    // Normalize the message
-    const normalizedMessage = normalizeMessage(body);
+    const messages = normalizeMessages(body);
     
-    if (!normalizedMessage) {
-      logger.debug('Could not normalize message');
+    if (messages.length === 0) {
+      logger.debug('No messages to process in webhook');
+      await statusesHandled;
       return;
     }
 
-    logger.info('Message received', {
-      userId: normalizedMessage.userId,
-      type: normalizedMessage.type,
-      text: normalizedMessage.text?.slice(0, 50)
-    });
+    for (const normalizedMessage of messages) {
+      logger.info('Message received', {
+        userId: normalizedMessage.userId,
+        messageId: normalizedMessage.messageId,
+        type: normalizedMessage.type,
+        text: normalizedMessage.text?.slice(0, 50)
+      });
+    }
 
-    // Process message through orchestrator
-    await orchestrator.processMessage(normalizedMessage);
+    // Process messages through orchestrator
+    await Promise.all([statusesHandled, dispatchMessages(messages)]);
 
   } catch (error) {
     logger.error('Error handling webhook', { error: error.message, stack: error.stack });
@@ -81,7 +149,96 @@ async function handleIncoming(req, res) {
   }
 }
 
+/**
+ * Find the tenant of a webhook's business number
+ * @param {string|null} phoneNumberId - metadata.phone_number_id
+ * @param {Object} details - Logged when the number is unknown
+ * @returns {Object|null} Tenant, or null when no tenant owns the number
+ */
+function getTenant(phoneNumberId, details) {
+  const tenant = tenants.resolveTenant(phoneNumberId);
+  if (!tenant) {
+    logger.warn('⚠️ Webhook for a business number without a tenant - ignored', {
+      phoneNumberId,
+      ...details
+    });
+  }
+  return tenant;
+}
+
+/**
+ * Record status updates and trigger fallbacks for failed messages
+ * Statuses are applied in payload order so "sent" and "delivered" for the same
+ * message in one webhook don't race each other
+ * @param {Array<Object>} statuses - Raw status objects
+ * @returns {Promise<void>}
+ */
+async function handleStatuses(statuses) {
+  for (const status of statuses) {
+    const tenant = getTenant(status.phone_number_id, { messageId: status.id, status: status.status });
+    if (!tenant) {
+      continue;
+    }
+
+    try {
+      await tenants.runWithTenant(tenant, () => orchestrator.handleStatusUpdate(normalizeStatus(status)));
+    } catch (error) {
+      logger.error('Error handling status update', {
+        messageId: status.id,
+        status: status.status,
+        error: error.message
+      });
+    }
+  }
+}
+
+/**
+ * Dispatch normalized messages to the orchestrator, each in its tenant's context
+ * Messages from the same user to the same number are processed one after another in
+ * timestamp order; everything else is processed in parallel
+ * @param {Array<Object>} messages - Normalized messages
+ * @returns {Promise<void>}
+ */
+async function dispatchMessages(messages) {
+  const byUser = new Map();
+  
+  for (const message of messages) {
+    const key = `${message.phoneNumberId}:${message.userId}`;
+    if (!byUser.has(key)) {
+      byUser.set(key, []);
+    }
+    byUser.get(key).push(message);
+  }
+
+  await Promise.all(Array.from(byUser.values()).map(async (userMessages) => {
+    // Stable sort keeps payload order for messages with the same timestamp
+    userMessages.sort((a, b) => (a.timestamp || 0) - (b.timestamp || 0));
+    
+    for (const message of userMessages) {
+      const tenant = getTenant(message.phoneNumberId, { userId: message.userId, messageId: message.messageId });
+      if (!tenant) {
+        continue;
+      }
+
+      try {
+        await tenants.runWithTenant(tenant, () => orchestrator.processMessage(message));
+      } catch (error) {
+        // One failing message must not stop the rest of the batch
+        logger.error('Error processing batched message', {
+          userId: message.userId,
+          messageId: message.messageId,
+          error: error.message
+        });
+      }
+    }
+  }));
+}
+
 module.exports = {
   handleVerification,
-  handleIncoming
+  verifySignature,
+  isValidSignature,
+  handleIncoming,
+  handleStatuses,
+  dispatchMessages
 };
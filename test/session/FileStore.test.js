@@ -0,0 +1,185 @@
+/**
+ * FileStore tests
+ * Each test gets its own journal in a temp directory; reloading means a new FileStore on that file
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const FileStore = require('../../src/session/FileStore');
+
+const TTL_MINUTES = 30;
+
+/**
+ * Journal records on disk
+ * @param {string} filePath
+ * @returns {Array<Object>}
+ */
+function readJournal(filePath) {
+  return fs.readFileSync(filePath, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+}
+
+describe('FileStore', () => {
+  let dir;
+  let filePath;
+  let store;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'filestore-'));
+    filePath = path.join(dir, 'session.jsonl');
+    store = new FileStore(TTL_MINUTES, filePath);
+  });
+
+  afterEach(async () => {
+    await store.destroy();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  // Flush the journal and open the same file again, as after a restart
+  const reload = async (ttlMinutes = TTL_MINUTES) => {
+    await store.destroy();
+    store = new FileStore(ttlMinutes, filePath);
+    return store;
+  };
+
+  describe('get/set/delete', () => {
+    it('returns null for a missing key', () => {
+      assert.equal(store.get('missing'), null);
+    });
+
+    it('round-trips data and merges updates', () => {
+      store.set('user-1', { a: 1, booking: { step: 'dates' } });
+      const updated = store.update('user-1', { b: 2, booking: undefined });
+
+      assert.deepEqual(updated, { a: 1, b: 2 });
+      assert.deepEqual(store.get('user-1'), { a: 1, b: 2 });
+    });
+
+    it('deletes an entry', () => {
+      store.set('user-1', { a: 1 });
+
+      store.delete('user-1');
+
+      assert.equal(store.get('user-1'), null);
+      assert.equal(store.has('user-1'), false);
+    });
+
+    it('sets a missing key once with setIfAbsent', () => {
+      assert.equal(store.setIfAbsent('msg-1', { seenAt: 1 }), true);
+      assert.equal(store.setIfAbsent('msg-1', { seenAt: 2 }), false);
+
+      assert.deepEqual(store.get('msg-1'), { seenAt: 1 });
+    });
+  });
+
+  describe('TTL', () => {
+    it('forgets entries once their TTL has passed', async () => {
+      await store.destroy();
+      store = new FileStore(50 / 60000, filePath);
+
+      store.set('user-1', { a: 1 });
+      await new Promise(resolve => setTimeout(resolve, 80));
+
+      assert.equal(store.get('user-1'), null);
+    });
+
+    it('does not reload entries that expired while the process was down', async () => {
+      store.set('user-1', { a: 1 });
+      await store.destroy();
+      const expired = readJournal(filePath).map(record => ({ ...record, expiresAt: Date.now() - 1000 }));
+      fs.writeFileSync(filePath, expired.map(record => JSON.stringify(record)).join('\n') + '\n');
+
+      store = new FileStore(TTL_MINUTES, filePath);
+
+      assert.equal(store.get('user-1'), null);
+      assert.equal(store.size(), 0);
+    });
+  });
+
+  describe('reload', () => {
+    it('replays sets, updates and deletes from the journal', async () => {
+      store.set('user-1', { a: 1 });
+      store.update('user-1', { b: 2 });
+      store.set('user-2', { c: 3 });
+      store.delete('user-2');
+
+      await reload();
+
+      assert.deepEqual(store.get('user-1'), { a: 1, b: 2 });
+      assert.equal(store.get('user-2'), null);
+    });
+
+    it('keeps the original expiry instead of restarting the TTL', async () => {
+      store.set('user-1', { a: 1 });
+      const { expiresAt } = store.store.get('user-1');
+
+      await reload();
+
+      assert.equal(store.store.get('user-1').expiresAt, expiresAt);
+    });
+
+    it('skips a truncated last line and rewrites the journal', async () => {
+      store.set('user-1', { a: 1 });
+      await store.destroy();
+      fs.appendFileSync(filePath, '{"op":"set","key":"user-2","da');
+
+      store = new FileStore(TTL_MINUTES, filePath);
+      store.set('user-3', { c: 3 });
+      await reload();
+
+      assert.deepEqual(store.get('user-1'), { a: 1 });
+      assert.equal(store.get('user-2'), null);
+      assert.deepEqual(store.get('user-3'), { c: 3 });
+    });
+  });
+
+  describe('compaction', () => {
+    it('rewrites the journal with one line per live entry', async () => {
+      for (let i = 0; i < 5; i++) {
+        store.set('user-1', { count: i });
+      }
+      store.set('user-2', { a: 1 });
+      store.delete('user-2');
+
+      store.compact();
+      await reload();
+
+      assert.deepEqual(readJournal(filePath).map(record => [record.op, record.key]), [['set', 'user-1']]);
+      assert.deepEqual(store.get('user-1'), { count: 4 });
+    });
+
+    it('keeps appending to the new journal after compacting', async () => {
+      store.set('user-1', { a: 1 });
+      store.compact();
+      store.set('user-2', { b: 2 });
+
+      await reload();
+
+      assert.deepEqual(store.get('user-1'), { a: 1 });
+      assert.deepEqual(store.get('user-2'), { b: 2 });
+    });
+
+    it('does not bring back cleared entries from buffered appends', async () => {
+      store.set('user-1', { a: 1 });
+
+      store.clear();
+      await reload();
+
+      assert.equal(store.size(), 0);
+    });
+
+    it('compacts on cleanup once the journal has grown past the threshold', async () => {
+      for (let i = 0; i < 600; i++) {
+        store.set('user-1', { count: i });
+      }
+
+      store.cleanup();
+      await reload();
+
+      assert.equal(readJournal(filePath).length, 1);
+      assert.deepEqual(store.get('user-1'), { count: 599 });
+    });
+  });
+});
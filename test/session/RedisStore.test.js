@@ -0,0 +1,182 @@
+/**
+ * RedisStore tests
+ * Run against ioredis-mock, an in-process Redis stand-in passed through options.client
+ */
+
+const { describe, it, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const RedisMock = require('ioredis-mock');
+const config = require('../../src/config');
+const RedisStore = require('../../src/session/RedisStore');
+
+const TTL_MINUTES = 30;
+
+describe('RedisStore', () => {
+  let client;
+  let store;
+
+  beforeEach(async () => {
+    client = new RedisMock();
+    // ioredis-mock instances share data - start every test empty
+    await client.flushall();
+    store = new RedisStore({ ttlMinutes: TTL_MINUTES, namespace: 'test', client });
+  });
+
+  afterEach(async () => {
+    await store.destroy();
+    client.disconnect();
+  });
+
+  const redisKey = (key) => `${config.redis.keyPrefix}test:${key}`;
+
+  describe('get/set', () => {
+    it('returns null for a missing key', async () => {
+      assert.equal(await store.get('missing'), null);
+    });
+
+    it('round-trips nested JSON values', async () => {
+      const session = {
+        conversationId: 'conv-1',
+        carousel: { items: [{ id: 'h1', title: 'Taj' }], index: 0 },
+        count: 3,
+        active: false,
+        note: null
+      };
+
+      await store.set('user-1', session);
+
+      assert.deepEqual(await store.get('user-1'), session);
+    });
+
+    it('replaces the previous data instead of merging', async () => {
+      await store.set('user-1', { a: 1, b: 2 });
+      await store.set('user-1', { c: 3 });
+
+      assert.deepEqual(await store.get('user-1'), { c: 3 });
+    });
+
+    it('skips undefined fields', async () => {
+      await store.set('user-1', { a: 1, b: undefined });
+
+      assert.deepEqual(await store.get('user-1'), { a: 1 });
+    });
+
+    it('keeps keys under the namespace prefix', async () => {
+      await store.set('user-1', { a: 1 });
+
+      assert.equal(await client.exists(redisKey('user-1')), 1);
+    });
+  });
+
+  describe('update', () => {
+    it('merges top-level fields and returns the result', async () => {
+      await store.set('user-1', { a: 1, b: { nested: true } });
+
+      const updated = await store.update('user-1', { b: { nested: false }, c: 'new' });
+
+      assert.deepEqual(updated, { a: 1, b: { nested: false }, c: 'new' });
+      assert.deepEqual(await store.get('user-1'), updated);
+    });
+
+    it('removes fields set to undefined', async () => {
+      await store.set('user-1', { a: 1, booking: { step: 'dates' } });
+
+      const updated = await store.update('user-1', { booking: undefined });
+
+      assert.deepEqual(updated, { a: 1 });
+    });
+
+    it('creates the entry when it does not exist', async () => {
+      assert.deepEqual(await store.update('user-2', { a: 1 }), { a: 1 });
+    });
+
+    it('does not lose concurrent updates to different fields', async () => {
+      await store.set('user-1', { a: 0 });
+
+      await Promise.all([
+        store.update('user-1', { b: 1 }),
+        store.update('user-1', { c: 2 })
+      ]);
+
+      assert.deepEqual(await store.get('user-1'), { a: 0, b: 1, c: 2 });
+    });
+  });
+
+  describe('delete/has', () => {
+    it('reports whether a key exists', async () => {
+      assert.equal(await store.has('user-1'), false);
+
+      await store.set('user-1', { a: 1 });
+
+      assert.equal(await store.has('user-1'), true);
+    });
+
+    it('deletes an entry', async () => {
+      await store.set('user-1', { a: 1 });
+
+      await store.delete('user-1');
+
+      assert.equal(await store.get('user-1'), null);
+      assert.equal(await store.has('user-1'), false);
+    });
+  });
+
+  describe('setIfAbsent', () => {
+    it('sets a missing key once', async () => {
+      assert.equal(await store.setIfAbsent('msg-1', { seenAt: 1 }), true);
+      assert.equal(await store.setIfAbsent('msg-1', { seenAt: 2 }), false);
+
+      assert.deepEqual(await store.get('msg-1'), { seenAt: 1 });
+    });
+
+    it('lets exactly one of several concurrent calls win', async () => {
+      const results = await Promise.all([1, 2, 3].map(n => store.setIfAbsent('msg-1', { seenAt: n })));
+
+      assert.equal(results.filter(Boolean).length, 1);
+    });
+  });
+
+  describe('shared client', () => {
+    it('keeps namespaces on one client apart and leaves the client open on destroy', async (t) => {
+      const quit = t.mock.method(client, 'quit');
+      const dedup = new RedisStore({ ttlMinutes: TTL_MINUTES, namespace: 'dedup', client });
+
+      await store.set('user-1', { a: 1 });
+      await dedup.set('user-1', { b: 2 });
+      await dedup.destroy();
+
+      assert.deepEqual(await store.get('user-1'), { a: 1 });
+      assert.equal(quit.mock.callCount(), 0);
+    });
+  });
+
+  describe('TTL', () => {
+    it('sets the TTL on set, update and setIfAbsent', async () => {
+      await store.set('a', { x: 1 });
+      await store.update('b', { x: 1 });
+      await store.setIfAbsent('c', { x: 1 });
+
+      for (const key of ['a', 'b', 'c']) {
+        assert.equal(await client.ttl(redisKey(key)), TTL_MINUTES * 60, key);
+      }
+    });
+
+    it('refreshes the TTL on update', async () => {
+      await store.set('user-1', { a: 1 });
+      await client.expire(redisKey('user-1'), 10);
+
+      await store.update('user-1', { b: 2 });
+
+      assert.equal(await client.ttl(redisKey('user-1')), TTL_MINUTES * 60);
+    });
+
+    it('forgets entries once Redis expires them', async () => {
+      await store.set('user-1', { a: 1 });
+      await client.pexpire(redisKey('user-1'), 1);
+      await new Promise(resolve => setTimeout(resolve, 10));
+
+      assert.equal(await store.get('user-1'), null);
+      assert.equal(await store.has('user-1'), false);
+    });
+  });
+});